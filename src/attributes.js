@@ -0,0 +1,82 @@
+import { resolvePlatform } from "./platforms.js";
+
+// Canonical attribute order for wxmlAttributeOrder="default". Groups are comma-separated and
+// may list several `|`-separated patterns; `*` in a pattern matches any characters, and a bare
+// `*` group places every attribute no other group claims. `{p}` is the platform's directive prefix.
+const defaultAttributeOrder =
+  "{p}if|{p}elif|{p}else,{p}for|{p}for-items,{p}for-item,{p}for-index,{p}key," +
+  "id,class,style,data-*,*,bind*|catch*|capture-*|mut-bind*,slot";
+
+const orderCache = new Map();
+
+function compilePattern(pattern) {
+  const source = pattern.replace(/[.+?^${}()[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
+// Parsed groups for an order string, cached across files of a run
+function getAttributeGroups(order, directivePrefix) {
+  const cacheKey = `${directivePrefix}\n${order}`;
+  if (!orderCache.has(cacheKey)) {
+    const groups = order
+      .replaceAll("{p}", directivePrefix)
+      .split(",")
+      .map((group) => group.split("|").map((pattern) => pattern.trim()).filter(Boolean))
+      .filter((patterns) => patterns.length > 0)
+      .map((patterns) => ({
+        isRest: patterns.length === 1 && patterns[0] === "*",
+        regexes: patterns.map(compilePattern),
+      }));
+    orderCache.set(cacheKey, groups);
+  }
+  return orderCache.get(cacheKey);
+}
+
+function getGroupIndex(name, groups) {
+  const index = groups.findIndex((group) => !group.isRest && group.regexes.some((regex) => regex.test(name)));
+  if (index !== -1) return index;
+  const restIndex = groups.findIndex((group) => group.isRest);
+  return restIndex === -1 ? groups.length : restIndex;
+}
+
+// Indexes of `attributes` in print order. Source order unless wxmlAttributeOrder is set;
+// attributes of the same group keep their relative order.
+export function getAttributePrintOrder(attributes, opts) {
+  const indexes = attributes.map((_, index) => index);
+  const option = typeof opts.wxmlAttributeOrder === "string" ? opts.wxmlAttributeOrder.trim() : "";
+  if (option === "") return indexes;
+  const order = option === "default" ? defaultAttributeOrder : option;
+  const groups = getAttributeGroups(order, resolvePlatform(opts).directivePrefix);
+  const groupIndexes = attributes.map((attr) => getGroupIndex(String(attr.key), groups));
+  return indexes.sort((left, right) => groupIndexes[left] - groupIndexes[right] || left - right);
+}
+
+// Event binding prefixes: `bindtap` / `bind:tap`, `capture-catch:touchstart`, ...
+const eventPrefixes = ["capture-bind", "capture-catch", "mut-bind", "bind", "catch"];
+
+// Rewrite `bindtap` <-> `bind:tap` per wxmlEventBindingStyle. Event names with hyphens or
+// uppercase letters only read unambiguously in the colon form, so they never lose the colon.
+export function printEventBindingKey(key, opts) {
+  const style = opts.wxmlEventBindingStyle;
+  if (style !== "colon" && style !== "concat") return key;
+  if (!resolvePlatform(opts).colonEventBinding) return key;
+  const prefix = eventPrefixes.find((candidate) => key.startsWith(candidate) && key.length > candidate.length);
+  if (!prefix) return key;
+  const hasColon = key[prefix.length] === ":";
+  const event = hasColon ? key.slice(prefix.length + 1) : key.slice(prefix.length);
+  if (event === "") return key;
+  if (style === "colon") return `${prefix}:${event}`;
+  return /^[a-z0-9_]+$/.test(event) ? `${prefix}${event}` : key;
+}
+
+// Class names in print order. With wxmlSortClasses static names are sorted and names built from
+// {{ }} follow in source order; wxmlDedupeClasses drops repeats after the first occurrence.
+export function orderClassNames(names, opts) {
+  let result = opts.wxmlDedupeClasses ? [...new Set(names)] : names;
+  if (opts.wxmlSortClasses) {
+    const isDynamic = (name) => name.includes("{{");
+    const staticNames = result.filter((name) => !isDynamic(name)).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    result = [...staticNames, ...result.filter(isDynamic)];
+  }
+  return result;
+}
@@ -0,0 +1,32 @@
+// WXML comments: `prettier-ignore` directives and the layout of multi-line comment bodies.
+
+const ignoreDirectivePattern = /^\s*prettier-ignore(?:-(start|end)|-(attribute)(?:\s+([\s\S]*?))?)?\s*$/;
+
+// The ignore directive a comment holds, whatever whitespace surrounds it (`<!--prettier-ignore-->`,
+// a marker on a line of its own inside the comment, ...): `{ kind, names }` with `kind` one of
+// "ignore", "start", "end" and "attribute", or null for other comments. `names` lists the
+// attribute names given to prettier-ignore-attribute, empty for all of them.
+export function getIgnoreDirective(comment) {
+  if (!comment || comment.type !== "WXComment") return null;
+  const match = ignoreDirectivePattern.exec(String(comment.value));
+  if (!match) return null;
+  const kind = match[1] || match[2] || "ignore";
+  return { kind, names: match[3] ? match[3].split(/\s+/) : [] };
+}
+
+const leadingWhitespaceLength = (line) => line.length - line.trimStart().length;
+
+// Lines of a comment body re-based on the comment's own position: lines after the first lose the
+// indentation they shared with the comment at `column` (0-based) in the source, so the printer can
+// put them back at the comment's new depth. Lines indented past the comment keep the difference.
+export function getCommentLines(value, column) {
+  const lines = String(value).split("\n");
+  if (lines.length === 1) return lines;
+  const rest = lines.slice(1);
+  // Blank lines inside the body say nothing about its indentation; the last one places the `-->`
+  const indents = rest
+    .filter((line, index) => line.trim() !== "" || index === rest.length - 1)
+    .map(leadingWhitespaceLength);
+  const shared = Math.min(column, ...indents);
+  return [lines[0], ...rest.map((line) => (line.trim() === "" ? "" : line.slice(shared)))];
+}
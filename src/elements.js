@@ -0,0 +1,89 @@
+// Default CSS `display` of built-in mini-program components, taken from the WeChat base styles.
+// Whitespace next to a block-level component never renders, so only inline boundaries are kept.
+// Custom components (and anything unknown) render as `inline`, like unknown HTML elements.
+const componentDisplay = {
+  // Virtual and non-rendering tags. <block>, <template> and <include> produce no box (see
+  // transparentComponents); when their content isn't known they count as inline.
+  block: "inline",
+  template: "inline",
+  import: "none",
+  include: "inline",
+  wxs: "none",
+  "page-meta": "none",
+  "navigation-bar": "none",
+
+  // View containers
+  view: "block",
+  "scroll-view": "block",
+  swiper: "block",
+  "swiper-item": "block",
+  "movable-area": "block",
+  "movable-view": "block",
+  "cover-view": "block",
+  "cover-image": "block",
+  "match-media": "block",
+  "page-container": "block",
+  "root-portal": "block",
+  "share-element": "block",
+  "grid-view": "block",
+  "list-view": "block",
+  "sticky-header": "block",
+  "sticky-section": "block",
+
+  // Basic content
+  icon: "inline-block",
+  progress: "block",
+  "rich-text": "block",
+  text: "inline",
+
+  // Forms
+  button: "block",
+  checkbox: "inline-block",
+  "checkbox-group": "block",
+  editor: "block",
+  form: "block",
+  input: "block",
+  label: "inline",
+  picker: "block",
+  "picker-view": "block",
+  "picker-view-column": "block",
+  radio: "inline-block",
+  "radio-group": "block",
+  slider: "block",
+  switch: "inline-block",
+  textarea: "block",
+
+  // Navigation, media, map, canvas and open capabilities
+  navigator: "block",
+  audio: "inline-block",
+  camera: "block",
+  image: "inline-block",
+  video: "inline-block",
+  "live-player": "block",
+  "live-pusher": "block",
+  map: "block",
+  canvas: "block",
+  "web-view": "block",
+  ad: "block",
+  "official-account": "block",
+  "open-data": "inline",
+};
+
+// Tags whose content renders in place of the tag, without a box of its own
+const transparentComponents = new Set(["block", "template", "include"]);
+
+export const whitespaceSensitivities = ["css", "strict", "ignore"];
+
+export function getComponentDisplay(name) {
+  const lowerName = typeof name === "string" ? name.toLowerCase() : "";
+  return Object.prototype.hasOwnProperty.call(componentDisplay, lowerName) ? componentDisplay[lowerName] : "inline";
+}
+
+// Whether whitespace at the edge of an element with this display can show up on screen
+export function isInlineDisplay(display) {
+  return display === "inline" || display === "inline-block";
+}
+
+export function isTransparentComponent(name) {
+  return typeof name === "string" && transparentComponents.has(name.toLowerCase());
+}
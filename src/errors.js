@@ -0,0 +1,16 @@
+// Syntax errors in the shape Prettier gives its own parser errors: a "(line:column)" suffix and
+// a `loc` with 1-based columns, which the CLI and editors turn into a code frame.
+
+// Line and 1-based column of `offset` in `text`
+export function getPosition(text, offset) {
+  const lines = text.slice(0, Math.max(0, Math.min(offset, text.length))).split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// `start` and `end` are offsets into `text`, `end` exclusive
+export function createSyntaxError(message, text, start, end = start, cause) {
+  const loc = { start: getPosition(text, start), end: getPosition(text, end) };
+  const error = new SyntaxError(`${message} (${loc.start.line}:${loc.start.column})`, cause ? { cause } : undefined);
+  error.loc = loc;
+  return error;
+}
@@ -0,0 +1,305 @@
+import * as doc from "prettier/doc";
+import { parsers as babelParsers } from "prettier/plugins/babel";
+import { findMustacheEnd } from "./lexer.js";
+
+const { group, indent, line, softline } = doc.builders;
+
+// Formatted {{ }} segments per AST node, filled by the printer's async embed pass
+const interpolationSegments = new WeakMap();
+
+// Split text into literal chunks and {{ }} interpolations, finding their ends like the parser does
+export function splitInterpolations(text) {
+  const segments = [];
+  if (typeof text !== 'string') return segments;
+  let literalStart = 0;
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '{' && text[i + 1] === '{') {
+      const end = findMustacheEnd(text, i + 2);
+      if (end !== -1) {
+        if (i > literalStart) segments.push({ type: 'text', value: text.slice(literalStart, i) });
+        segments.push({ type: 'expression', value: text.slice(i + 2, end), raw: text.slice(i, end + 2) });
+        i = end + 2;
+        literalStart = i;
+        continue;
+      }
+    }
+    i++;
+  }
+  if (literalStart < text.length) segments.push({ type: 'text', value: text.slice(literalStart) });
+  return segments;
+}
+
+export function hasInterpolation(text) {
+  return typeof text === 'string' && splitInterpolations(text).some((s) => s.type === 'expression');
+}
+
+function printFlat(exprDoc, opts) {
+  return doc.printer.printDocToString(exprDoc, {
+    printWidth: Infinity,
+    tabWidth: opts.tabWidth || 2,
+    useTabs: false,
+    endOfLine: 'lf',
+  }).formatted;
+}
+
+// Options handed to Prettier's JavaScript expression printer. JS strings use the quote that
+// doesn't clash with WXML attribute quotes; WXML expressions never accept trailing commas.
+function getExpressionOptions(opts) {
+  return {
+    parser: '__wxml_expressions',
+    singleQuote: !opts.wxmlSingleQuote,
+    trailingComma: 'none',
+  };
+}
+
+// The properties of an object literal doc with its braces and outer lines removed, or null when
+// the doc isn't laid out like Prettier's object literals
+function getObjectBodyDoc(objectDoc) {
+  const contents = objectDoc && objectDoc.type === 'group' && Array.isArray(objectDoc.contents) ? objectDoc.contents : null;
+  if (!contents || !contents.includes('{') || !contents.includes('}')) return null;
+  const properties = contents.find((part) => part && part.type === 'indent');
+  const [first, ...rest] = properties && Array.isArray(properties.contents) ? properties.contents : [];
+  return first && first.type === 'line' && rest.length > 0 ? rest : null;
+}
+
+// Bare object content such as `...item, index` (the `data` of <template is>): the interpolation's
+// braces stand for the object's, so the properties are printed without braces of their own
+function printObjectBody(objectDoc, opts) {
+  const body = getObjectBodyDoc(objectDoc);
+  if (body) return { doc: body, flat: printFlat(body, opts) };
+  const flat = printFlat(objectDoc, opts).trim();
+  const inner = flat.slice(1, -1).trim();
+  if (inner && !flat.includes('\n') && flat.startsWith('{') && flat.endsWith('}')) {
+    return { doc: inner, flat: inner };
+  }
+  return null;
+}
+
+// Prettier parenthesizes a top-level sequence, which isn't how WXML reads `{{ a, b }}`: the doc
+// without the parentheses, or null when it isn't laid out as `["(", sequence, ")"]`
+function getBareSequenceDoc(exprDoc) {
+  const contents = exprDoc && exprDoc.type === 'group' ? exprDoc.contents : exprDoc;
+  const parts = Array.isArray(contents) ? contents.filter((part) => part !== '') : [];
+  if (parts.length !== 3) return null;
+  const [open, sequence, close] = parts;
+  return open === '(' && close === ')' ? sequence : null;
+}
+
+// Parse `code` as a JS expression, or null when it isn't one
+function parseExpression(code) {
+  try {
+    return babelParsers.__js_expression.parse(code, {});
+  } catch {
+    return null;
+  }
+}
+
+// How an interpolation is formatted: the code handed to Prettier and its AST, or null when it
+// is kept as written. Interpolations that aren't expressions may still be object bodies.
+function planExpression(expression, isObjectBody) {
+  const root = isObjectBody ? null : parseExpression(expression);
+  if (root) {
+    const { node } = root;
+    // A sequence (`a, b`) written without parentheses around it
+    const isBareSequence = node.type === 'SequenceExpression' && !(node.extra && node.extra.parenthesized);
+    return { code: expression, root, kind: isBareSequence ? 'sequence' : 'expression' };
+  }
+  const code = `{${expression.trim()}}`;
+  const objectRoot = parseExpression(code);
+  return objectRoot ? { code, root: objectRoot, kind: 'object' } : null;
+}
+
+function printPlannedExpression(plan, exprDoc, opts) {
+  if (plan.kind === 'object') return printObjectBody(exprDoc, opts);
+  // Kept as written when the parentheses can't be taken off
+  const printed = plan.kind === 'sequence' ? getBareSequenceDoc(exprDoc) : exprDoc;
+  return printed == null ? null : { doc: printed, flat: printFlat(printed, opts) };
+}
+
+// Move the positions of a parsed AST (comments included) by `offset`
+function shiftLocations(node, offset) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => shiftLocations(child, offset));
+    return;
+  }
+  if (typeof node.start === 'number') node.start += offset;
+  if (typeof node.end === 'number') node.end += offset;
+  if (Array.isArray(node.range)) node.range = [node.range[0] + offset, node.range[1] + offset];
+  if (node.extra && typeof node.extra.parenStart === 'number') node.extra.parenStart += offset;
+  Object.keys(node).forEach((key) => {
+    if (key !== 'range' && key !== 'extra' && typeof node[key] === 'object') shiftLocations(node[key], offset);
+  });
+}
+
+// Parser for a batch of interpolations: the text is their code joined with commas, and the
+// AST an array of the expressions parsed ahead, each under a root of its own so Prettier lays
+// it out exactly as a lone expression
+export const expressionsParser = {
+  parse(text, options) {
+    const roots = options.wxmlExpressionRoots;
+    const comments = [];
+    for (const root of roots) {
+      comments.push(...root.comments);
+      delete root.comments;
+    }
+    const array = { type: 'ArrayExpression', elements: roots, start: 0, end: text.length, range: [0, text.length] };
+    return { type: 'JsExpressionRoot', node: array, comments, range: [0, text.length] };
+  },
+  astFormat: 'estree',
+  locStart: babelParsers.__js_expression.locStart,
+  locEnd: babelParsers.__js_expression.locEnd,
+};
+
+// The doc of each element of a printed batch: Prettier prints array elements as `group(element)`
+// separated by commas and lines
+function getBatchElementDocs(batchDoc) {
+  const contents = batchDoc && batchDoc.type === 'group' && Array.isArray(batchDoc.contents) ? batchDoc.contents : [];
+  const elements = contents.find((part) => part && part.type === 'indent');
+  const parts = elements ? [elements.contents].flat() : [];
+  return parts.filter((part) => part && part.type === 'group');
+}
+
+// Formatted expressions of a run by source text, so expressions repeated across a file
+// (`item.name` in every row) are formatted once. Each textToDoc call renormalizes all options,
+// which costs far more than printing an expression: the embed pass queues every interpolation
+// first, and the first one printed formats the whole queue with a single call.
+const formattedExpressions = new WeakMap();
+const queuedExpressions = new WeakMap();
+
+function getExpressionKey(expression, isObjectBody) {
+  return `${isObjectBody ? 'object' : 'expression'}:${expression}`;
+}
+
+// Queue the interpolations of `text` that haven't been formatted in this run
+export function queueInterpolations(text, opts, isObjectBody = false) {
+  if (!formattedExpressions.has(opts)) formattedExpressions.set(opts, new Map());
+  if (!queuedExpressions.has(opts)) queuedExpressions.set(opts, new Map());
+  const formatted = formattedExpressions.get(opts);
+  const queue = queuedExpressions.get(opts);
+  for (const segment of splitInterpolations(text)) {
+    const key = getExpressionKey(segment.value, isObjectBody);
+    if (segment.type === 'expression' && !formatted.has(key) && !queue.has(key)) {
+      queue.set(key, { expression: segment.value, isObjectBody });
+    }
+  }
+}
+
+async function formatQueuedExpressions(textToDoc, opts) {
+  const formatted = formattedExpressions.get(opts);
+  const queue = queuedExpressions.get(opts);
+  const planned = [];
+  for (const [key, { expression, isObjectBody }] of queue) {
+    const plan = planExpression(expression, isObjectBody);
+    formatted.set(key, null);
+    if (plan) planned.push({ key, plan });
+  }
+  queue.clear();
+  if (planned.length === 0) return;
+
+  // Each expression keeps its positions in the joined text
+  let offset = 1;
+  for (const { plan } of planned) {
+    shiftLocations(plan.root, offset);
+    plan.root.range = [offset, offset + plan.code.length];
+    offset += plan.code.length + 1;
+  }
+  const text = `[${planned.map(({ plan }) => plan.code).join(',')}]`;
+  let elementDocs = [];
+  try {
+    const batchDoc = await textToDoc(text, { ...getExpressionOptions(opts), wxmlExpressionRoots: planned.map(({ plan }) => plan.root) });
+    elementDocs = getBatchElementDocs(batchDoc);
+  } catch {
+    // Nothing printed: every expression is kept as written
+  }
+  if (elementDocs.length !== planned.length) return;
+  planned.forEach(({ key, plan }, index) => {
+    formatted.set(key, printPlannedExpression(plan, elementDocs[index], opts));
+  });
+}
+
+// Parse every interpolation of `text` as a JS expression and keep the results for the printer.
+// `quote` is the enclosing attribute quote, if any: printed code containing it is discarded.
+// With `isObjectBody` each interpolation holds the properties of an object instead.
+export async function prepareInterpolations(node, text, textToDoc, opts, quote, isObjectBody = false) {
+  queueInterpolations(text, opts, isObjectBody);
+  await formatQueuedExpressions(textToDoc, opts);
+  const formatted = formattedExpressions.get(opts);
+  const segments = splitInterpolations(text);
+  for (const segment of segments) {
+    if (segment.type !== 'expression') continue;
+    const result = formatted.get(getExpressionKey(segment.value, isObjectBody));
+    if (result && !(quote && result.flat.includes(quote))) {
+      segment.doc = result.doc;
+      segment.flat = result.flat;
+    }
+  }
+  interpolationSegments.set(node, segments);
+}
+
+function printInterpolation(segment, opts) {
+  if (segment.doc == null) return segment.raw;
+  const spacing = opts.wxmlBracketSpacing === false ? softline : line;
+  return group(["{{", indent([spacing, segment.doc]), spacing, "}}"]);
+}
+
+function printInterpolationFlat(segment, opts) {
+  if (segment.flat == null) return segment.raw;
+  return opts.wxmlBracketSpacing === false ? `{{${segment.flat}}}` : `{{ ${segment.flat} }}`;
+}
+
+// Literal chunks with the outer whitespace removed when the caller lays it out itself
+function getPrintedSegments(node, text, trim) {
+  const segments = interpolationSegments.get(node) || [{ type: 'text', value: text }];
+  if (!trim) return segments;
+  return segments
+    .map((segment, index) => {
+      if (segment.type !== 'text') return segment;
+      let value = segment.value;
+      if (index === 0) value = value.trimStart();
+      if (index === segments.length - 1) value = value.trimEnd();
+      return { ...segment, value };
+    })
+    .filter((segment) => segment.type !== 'text' || segment.value !== '');
+}
+
+// Doc for text with formatted interpolations; original text when nothing was prepared
+export function printInterpolatedText(node, text, opts, trim = false) {
+  if (!interpolationSegments.has(node)) return trim ? text.trim() : text;
+  return getPrintedSegments(node, text, trim).map((segment) => (segment.type === 'text' ? segment.value : printInterpolation(segment, opts)));
+}
+
+// Single-line rendering of the same content, used for width and quote decisions
+export function printInterpolatedTextFlat(node, text, opts, trim = false) {
+  if (!interpolationSegments.has(node)) return trim ? text.trim() : text;
+  return getPrintedSegments(node, text, trim).map((segment) => (segment.type === 'text' ? segment.value : printInterpolationFlat(segment, opts))).join('');
+}
+
+// Trimmed literal chunks and single-line {{ }} renderings, for callers that parse the value further
+export function getFlatSegments(node, text, opts) {
+  return getPrintedSegments(node, text, true).map((segment) =>
+    segment.type === 'text' ? segment : { type: 'expression', value: printInterpolationFlat(segment, opts) }
+  );
+}
+
+// Whitespace-separated words of the single-line rendering. A {{ }} interpolation never splits,
+// and literal text touching it (`item-{{ index }}`) stays in the same word.
+export function getInterpolatedWords(node, text, opts) {
+  const words = [];
+  let current = '';
+  for (const segment of getFlatSegments(node, text, opts)) {
+    if (segment.type !== 'text') {
+      current += segment.value;
+      continue;
+    }
+    const parts = segment.value.split(/\s+/);
+    current += parts[0];
+    for (const part of parts.slice(1)) {
+      if (current !== '') words.push(current);
+      current = part;
+    }
+  }
+  if (current !== '') words.push(current);
+  return words;
+}
@@ -0,0 +1,80 @@
+// wxmlSortImports: top-level <import> elements gathered into one sorted group at the start of
+// the file, and the `src` paths of <import> and <include> written one way. An <include> renders
+// its content where it stands, so it never moves.
+
+const importSourceTags = ["import", "include"];
+
+// `src` with surrounding whitespace, backslashes, repeated slashes and inner `./` segments
+// removed; a leading `./` is kept, and values built from {{ }} are left alone
+export function normalizeImportPath(value) {
+  if (value.includes("{{")) return value;
+  return value
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/\/{2,}/g, "/")
+    .replace(/\/(?:\.\/)+/g, "/");
+}
+
+// Whether an attribute is the `src` of an <import> or <include>
+export function isImportSource(attribute, startTag) {
+  return attribute.key === "src" && !!startTag && importSourceTags.includes(String(startTag.name).toLowerCase());
+}
+
+function isImport(item) {
+  return item.kind === "element" && !!item.node.startTag && String(item.node.startTag.name).toLowerCase() === "import";
+}
+
+function getImportPath(item) {
+  const src = (item.node.startTag.attributes || []).find((attribute) => attribute.key === "src");
+  return src && typeof src.value === "string" ? normalizeImportPath(src.value) : "";
+}
+
+const hasBlankLineBefore = (item) => (item.leadingWhitespace.match(/\n/g) || []).length >= 2;
+
+// Reorder the printer's top-level items: comments opening the file stay first, then every
+// <import> sorted by path, each with the comments written right above it, then the rest in source
+// order after a blank line. Equal paths keep their order.
+export function hoistImports(items) {
+  let start = 0;
+  while (start < items.length && items[start].kind === "comment") start++;
+  const firstWhitespace = start > 0 && start < items.length ? items[start].leadingWhitespace : "";
+
+  const entries = [];
+  const rest = [];
+  let comments = [];
+  // A blank line in front of a moved entry stays between the items left around it
+  let removedBlankLine = false;
+  const keep = (kept) => {
+    if (kept.length === 0) return;
+    if (removedBlankLine && !hasBlankLineBefore(kept[0])) kept[0].leadingWhitespace = "\n\n";
+    removedBlankLine = false;
+    rest.push(...kept);
+  };
+  for (const item of items.slice(start)) {
+    if (item.kind === "comment") {
+      if (hasBlankLineBefore(item)) {
+        keep(comments);
+        comments = [];
+      }
+      comments.push(item);
+    } else if (isImport(item)) {
+      const attached = hasBlankLineBefore(item) ? [] : comments;
+      if (attached.length === 0) keep(comments);
+      removedBlankLine = removedBlankLine || hasBlankLineBefore(attached[0] || item);
+      entries.push({ path: getImportPath(item), items: [...attached, item] });
+      comments = [];
+    } else {
+      keep([...comments, item]);
+      comments = [];
+    }
+  }
+  keep(comments);
+  if (entries.length === 0) return items;
+
+  entries.sort((left, right) => (left.path < right.path ? -1 : left.path > right.path ? 1 : 0));
+  entries.forEach((entry, index) => {
+    entry.items[0].leadingWhitespace = index === 0 ? firstWhitespace : "\n";
+  });
+  if (rest.length > 0) rest[0].leadingWhitespace = "\n\n";
+  return [...items.slice(0, start), ...entries.flatMap((entry) => entry.items), ...rest];
+}
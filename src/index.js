@@ -1,16 +1,39 @@
 import languages from "./languages.js";
 import parser from "./parser.js";
 import printer from "./printer.js";
+import { wxsParser, wxsPrinter } from "./wxs.js";
+import { expressionsParser } from "./expression.js";
+import { platformNames } from "./platforms.js";
 
 const plugin = {
   languages,
   parsers: {
-    wxml: parser
+    wxml: parser,
+    // Other mini-program dialects share the WXML parser; the parser name selects the platform
+    axml: parser,
+    swan: parser,
+    ttml: parser,
+    qml: parser,
+    jxml: parser,
+    wxs: wxsParser,
+    // Batches of {{ }} expressions, handed to Prettier's JavaScript printer by the WXML printer
+    __wxml_expressions: expressionsParser
   },
   printers: {
-    wxml: { ...printer }
+    wxml: { ...printer },
+    wxs: { ...wxsPrinter }
   },
   options: {
+    mpPlatform: {
+      type: "choice",
+      category: "WXML",
+      default: "auto",
+      description: "Mini-program platform dialect (directive prefix and script tag). Inferred from the file extension by default.",
+      choices: [
+        { value: "auto", description: "Infer from the parser name or file extension." },
+        ...platformNames.map((value) => ({ value, description: `Use the ${value} dialect.` }))
+      ]
+    },
     wxmlTabWidth: {
       type: "int",
       category: "WXML",
@@ -31,6 +54,81 @@ const plugin = {
       description: "The line length where Prettier will try wrap in WXML files.",
       range: { start: 0, end: Infinity, step: 1 }
     },
+    wxmlBracketSpacing: {
+      type: "boolean",
+      category: "WXML",
+      default: true,
+      description: "Print spaces between {{ }} braces and the expression in WXML files."
+    },
+    wxmlWhitespaceSensitivity: {
+      type: "choice",
+      category: "WXML",
+      default: "css",
+      description: "How to handle whitespace between and around WXML elements.",
+      choices: [
+        { value: "css", description: "Respect the default display of built-in components; custom components are inline." },
+        { value: "strict", description: "Whitespace around every element is significant." },
+        { value: "ignore", description: "Whitespace around every element is insignificant." }
+      ]
+    },
+    wxmlProseWrap: {
+      type: "choice",
+      category: "WXML",
+      default: "preserve",
+      description: "How to wrap text content.",
+      choices: [
+        { value: "preserve", description: "Keep the line breaks of the source." },
+        { value: "always", description: "Reflow text to fit wxmlPrintWidth, breaking lines only at whitespace." },
+        { value: "never", description: "Join each paragraph into one line." }
+      ]
+    },
+    wxmlAttributeOrder: {
+      type: "string",
+      category: "WXML",
+      default: "",
+      description:
+        "Reorder attributes: 'default' for the built-in order (directives, id, class, style, data-*, props, events, slot), or comma-separated groups of '|'-separated name patterns with '*' wildcards. Empty keeps the source order."
+    },
+    wxmlSelfClosing: {
+      type: "choice",
+      category: "WXML",
+      default: "preserve",
+      description: "How to write elements without content.",
+      choices: [
+        { value: "preserve", description: "Keep <tag /> and <tag></tag> as written." },
+        { value: "always", description: "Collapse empty elements to <tag />." },
+        { value: "never", description: "Expand <tag /> to <tag></tag>." }
+      ]
+    },
+    wxmlSortClasses: {
+      type: "boolean",
+      category: "WXML",
+      default: false,
+      description: "Sort static class names alphabetically; class names containing {{ }} keep their order after them."
+    },
+    wxmlDedupeClasses: {
+      type: "boolean",
+      category: "WXML",
+      default: false,
+      description: "Remove repeated class names, keeping the first occurrence."
+    },
+    wxmlSortImports: {
+      type: "boolean",
+      category: "WXML",
+      default: false,
+      description: "Gather top-level <import> at the start of the file sorted by path, and normalize the src paths of <import> and <include>."
+    },
+    wxmlEventBindingStyle: {
+      type: "choice",
+      category: "WXML",
+      default: "preserve",
+      description: "How to write event binding attributes such as bindtap / bind:tap.",
+      choices: [
+        { value: "preserve", description: "Keep each binding as written." },
+        { value: "colon", description: "Use the colon form: bind:tap, catch:tap, capture-bind:tap." },
+        { value: "concat", description: "Use the concatenated form: bindtap, catchtap. Events with hyphens or uppercase letters keep the colon." }
+      ]
+    },
 
     // Comma-separated tag names whose children prefer breaking onto their own lines
     wxmlPreferBreakTags: {
@@ -40,6 +138,12 @@ const plugin = {
       description:
         "Comma-separated list of tag names whose children are placed on separate lines by default (e.g., 'wxs,template')."
     },
+    wxmlIndentScriptContent: {
+      type: "boolean",
+      category: "WXML",
+      default: true,
+      description: "Indent the code inside <wxs> one level past its tag; false aligns it with the tag."
+    },
     wxsSemi: {
       type: "boolean",
       category: "WXS",
@@ -59,6 +163,34 @@ const plugin = {
       description: "Number of spaces per indentation level in WXS code.",
       range: { start: 0, end: Infinity, step: 1 }
     },
+    wxsPrintWidth: {
+      type: "int",
+      category: "WXS",
+      default: 80,
+      description: "The line length where Prettier will try wrap in WXS code.",
+      range: { start: 0, end: Infinity, step: 1 }
+    },
+    wxsFormatter: {
+      type: "choice",
+      category: "WXS",
+      default: "prettier",
+      description: "Engine used to format <wxs> JavaScript.",
+      choices: [
+        { value: "prettier", description: "Format with Prettier's own JavaScript printer (honors wxsPrintWidth)." },
+        { value: "babel", description: "Fallback: regenerate the code with @babel/generator." }
+      ]
+    },
+    wxsOnError: {
+      type: "choice",
+      category: "WXS",
+      default: "throw",
+      description: "What to do with WXS code that can't be parsed.",
+      choices: [
+        { value: "throw", description: "Fail with a syntax error pointing at the code." },
+        { value: "preserve", description: "Keep the code as written and format the rest of the file." },
+        { value: "warn", description: "Like preserve, and report the syntax error as a warning." }
+      ]
+    },
     // Advanced: pass through Babel options for <wxs> formatting via Prettier rc (as JSON string)
     wxsBabelParserOptions: {
       type: "string",
@@ -7,5 +7,59 @@ export default [
     filenames: [],
     vscodeLanguageIds: ["wxml"],
     linguistLanguageId: null
+  },
+  {
+    name: "AXML",
+    since: "2.6.0",
+    parsers: ["axml"],
+    extensions: [".axml"],
+    filenames: [],
+    vscodeLanguageIds: ["axml"],
+    linguistLanguageId: null
+  },
+  {
+    name: "SWAN",
+    since: "2.6.0",
+    parsers: ["swan"],
+    extensions: [".swan"],
+    filenames: [],
+    vscodeLanguageIds: ["swan"],
+    linguistLanguageId: null
+  },
+  {
+    name: "TTML",
+    since: "2.6.0",
+    parsers: ["ttml"],
+    extensions: [".ttml"],
+    filenames: [],
+    vscodeLanguageIds: ["ttml"],
+    linguistLanguageId: null
+  },
+  {
+    name: "QML",
+    since: "2.6.0",
+    parsers: ["qml"],
+    extensions: [".qml"],
+    filenames: [],
+    vscodeLanguageIds: ["qml"],
+    linguistLanguageId: null
+  },
+  {
+    name: "JXML",
+    since: "2.6.0",
+    parsers: ["jxml"],
+    extensions: [".jxml"],
+    filenames: [],
+    vscodeLanguageIds: ["jxml"],
+    linguistLanguageId: null
+  },
+  {
+    name: "WXS",
+    since: "2.6.0",
+    parsers: ["wxs"],
+    extensions: [".wxs"],
+    filenames: [],
+    vscodeLanguageIds: ["wxs"],
+    linguistLanguageId: null
   }
 ];
\ No newline at end of file
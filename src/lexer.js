@@ -0,0 +1,208 @@
+// Context-aware scan of WXML source ahead of @wxml/parser. {{ }} expressions and script bodies
+// are swapped for placeholders so the XML grammar never sees their contents. Inside them the scan
+// follows JS strings, template literals and comments, so a `}}` or `</wxs>` there ends nothing.
+
+// Offset just past the string starting at `index`. JS strings end at a line break, so an
+// unterminated one doesn't swallow the rest of the file.
+function skipString(text, index) {
+  const quote = text[index];
+  let i = index + 1;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === "\\") i += 2;
+    else if (char === quote) return i + 1;
+    else if (char === "\n") return i;
+    else i++;
+  }
+  return text.length;
+}
+
+// Offset just past the template literal starting at `index`, `${ }` substitutions included
+function skipTemplateLiteral(text, index) {
+  let i = index + 1;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === "\\") {
+      i += 2;
+    } else if (char === "`") {
+      return i + 1;
+    } else if (char === "$" && text[i + 1] === "{") {
+      const end = scanJs(text, i + 2, (j, depth) => depth === 0 && text[j] === "}");
+      if (end === -1) return text.length;
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+  return text.length;
+}
+
+// Offset just past the string, template literal or comment starting at `index`, or -1
+function skipJsToken(text, index) {
+  const char = text[index];
+  if (char === "'" || char === '"') return skipString(text, index);
+  if (char === "`") return skipTemplateLiteral(text, index);
+  if (char === "/" && text[index + 1] === "/") {
+    const end = text.indexOf("\n", index + 2);
+    return end === -1 ? text.length : end;
+  }
+  if (char === "/" && text[index + 1] === "*") {
+    const end = text.indexOf("*/", index + 2);
+    return end === -1 ? text.length : end + 2;
+  }
+  return -1;
+}
+
+// First offset from `start` where `isEnd(offset, braceDepth)` holds outside strings and comments
+function scanJs(text, start, isEnd) {
+  let depth = 0;
+  let i = start;
+  while (i < text.length) {
+    if (isEnd(i, depth)) return i;
+    const next = skipJsToken(text, i);
+    if (next !== -1) {
+      i = next;
+      continue;
+    }
+    if (text[i] === "{") depth++;
+    else if (text[i] === "}") depth--;
+    i++;
+  }
+  return -1;
+}
+
+// Offset of the `}}` closing the expression that starts at `start`, or -1
+export function findMustacheEnd(text, start) {
+  return scanJs(text, start, (i, depth) => depth <= 0 && text[i] === "}" && text[i + 1] === "}");
+}
+
+// `<tag` or `</tag` as a whole name: `<wxs-chart>` is not a <wxs>
+function isTagAt(text, index, prefix) {
+  return text.startsWith(prefix, index) && /^[\s/>]/.test(text[index + prefix.length] || "");
+}
+
+// @wxml/parser reads any tag starting with `<wxs` as a <wxs>, custom components like <wxs-chart> too
+const wxsPrefixedName = /wxs[\w.:-]+/y;
+
+// Prefix of the placeholders for `text`: one the text doesn't contain, so no placeholder can be
+// mistaken for something written in the source
+function getPlaceholderPrefix(text) {
+  let n = 0;
+  while (text.includes(`__WXML${n}_`)) n++;
+  return `__WXML${n}_`;
+}
+
+// Replace {{ }} expressions and the bodies of `scriptTag` elements with placeholders, and
+// tag names the parser would mistake for <wxs> with a placeholder name per distinct name.
+// Lone `{` and `}` in attribute values, which the parser can't read, get a placeholder per
+// character. Placeholders start with `prefix`. `replacements` are in source order: { start, length } in
+// the result, { originalStart, originalLength } in `text`.
+export function protectSource(text, scriptTag) {
+  const prefix = getPlaceholderPrefix(text);
+  const protectedItems = [];
+  const replacements = [];
+  let result = "";
+  let copied = 0;
+  let templateIndex = 0;
+  let scriptIndex = 0;
+  const tagNamePlaceholders = new Map();
+  const bracePlaceholders = new Map();
+
+  const protect = (start, end, placeholder, item) => {
+    result += text.slice(copied, start);
+    replacements.push({ start: result.length, length: placeholder.length, originalStart: start, originalLength: end - start });
+    result += placeholder;
+    copied = end;
+    if (item) protectedItems.push({ placeholder, ...item });
+  };
+
+  // Mask a `wxs`-prefixed tag name starting at `index`; returns where scanning resumes
+  const protectTagName = (index) => {
+    wxsPrefixedName.lastIndex = index;
+    const name = wxsPrefixedName.exec(text);
+    if (!name) return index;
+    const isNew = !tagNamePlaceholders.has(name[0]);
+    if (isNew) tagNamePlaceholders.set(name[0], `${prefix}TAG_NAME_${tagNamePlaceholders.size}__`);
+    const placeholder = tagNamePlaceholders.get(name[0]);
+    protect(index, index + name[0].length, placeholder, isNew ? { content: name[0], type: "TAG_NAME" } : null);
+    return index + name[0].length;
+  };
+
+  // Protect the expression at `index` if it is closed; returns where scanning resumes
+  const protectMustache = (index) => {
+    const end = findMustacheEnd(text, index + 2);
+    if (end === -1) return index + 2; // unterminated: left for the parser to report
+    protect(index, end + 2, `${prefix}TEMPLATE_EXPR_${templateIndex++}__`, {
+      content: text.slice(index + 2, end),
+      type: "TEMPLATE_EXPR",
+    });
+    return end + 2;
+  };
+
+  // Mask the lone brace at `index`
+  const protectBrace = (index) => {
+    const char = text[index];
+    const isNew = !bracePlaceholders.has(char);
+    if (isNew) bracePlaceholders.set(char, `${prefix}BRACE_${bracePlaceholders.size}__`);
+    protect(index, index + 1, bracePlaceholders.get(char), isNew ? { content: char, type: "BRACE" } : null);
+    return index + 1;
+  };
+
+  // Walk the attributes of a start tag from `index`; returns the offset of its `>`
+  const protectAttributes = (index) => {
+    let i = index;
+    let quote = null;
+    while (i < text.length) {
+      const char = text[i];
+      if (char === "{" && text[i + 1] === "{") {
+        i = protectMustache(i);
+      } else if (quote) {
+        if (char === quote) quote = null;
+        i = char === "{" || char === "}" ? protectBrace(i) : i + 1;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+        i++;
+      } else if (char === ">") {
+        break;
+      } else {
+        i++;
+      }
+    }
+    return i;
+  };
+
+  // Walk the start tag of a script element, then protect its body up to the end tag
+  const protectScript = (index) => {
+    const i = protectAttributes(index + scriptTag.length + 1);
+    if (i >= text.length || text[i - 1] === "/") return i + 1; // unclosed or self-closing
+    const bodyStart = i + 1;
+    const bodyEnd = scanJs(text, bodyStart, (j) => isTagAt(text, j, `</${scriptTag}`));
+    if (bodyEnd === -1) return bodyStart;
+    protect(bodyStart, bodyEnd, `${prefix}WXS_CONTENT_${scriptIndex++}__`, {
+      content: text.slice(bodyStart, bodyEnd).trim(),
+      type: "WXS_CONTENT",
+    });
+    return bodyEnd;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    if (text.startsWith("<!--", i)) {
+      const end = text.indexOf("-->", i + 4);
+      i = end === -1 ? text.length : end + 3;
+    } else if (text[i] === "{" && text[i + 1] === "{") {
+      i = protectMustache(i);
+    } else if (text[i] === "<" && isTagAt(text, i, `<${scriptTag}`)) {
+      i = protectScript(i);
+    } else if (text[i] === "<" && text[i + 1] === "/") {
+      i = protectTagName(i + 2);
+    } else if (text[i] === "<" && /[\w-]/.test(text[i + 1] || "")) {
+      i = protectAttributes(protectTagName(i + 1));
+    } else {
+      i++;
+    }
+  }
+  result += text.slice(copied);
+
+  return { processedText: result, protectedItems, replacements, prefix };
+}
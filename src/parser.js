@@ -1,171 +1,230 @@
 import { parse as wxmlParse } from "@wxml/parser";
+import { createSyntaxError } from "./errors.js";
+import { protectSource } from "./lexer.js";
+import { resolvePlatform } from "./platforms.js";
+import { hasWxmlPragma } from "./pragma.js";
 
-// Protect wxs content from XML parser
-function protectWxsContent(text, protectedItems) {
-  let wxsIndex = 0;
-  return text.replace(/(<wxs[^>]*>)([\s\S]*?)(<\/wxs>)/g, (match, openTag, content, closeTag) => {
-    const placeholder = `__WXS_CONTENT_${wxsIndex}__`;
-    protectedItems.push({ 
-      placeholder, 
-      content: content.trim(), 
-      type: 'WXS_CONTENT'
-    });
-    wxsIndex++;
-    return `${openTag}${placeholder}${closeTag}`;
-  });
+// Preprocess text for XML parsing
+function preprocessText(text, platform) {
+  const { processedText, protectedItems, replacements, prefix } = protectSource(text, platform.scriptTag);
+  // Placeholders differ in length from what they hide: map parser offsets back
+  const toOriginalOffset = (offset, isEnd) => mapOffset(offset, replacements, isEnd);
+  return { processedText, protectedItems, prefix, toOriginalOffset };
 }
 
-// Protect template expressions from XML parser
-function protectTemplateExpressions(text, protectedItems) {
-  let templateIndex = 0;
-  let result = '';
-  let i = 0;
-  
-  while (i < text.length) {
-    // Look for opening {{
-    if (i < text.length - 1 && text[i] === '{' && text[i + 1] === '{') {
-      let start = i;
-      i += 2; // Skip {{
-      
-      // Find the matching }}
-      let braceCount = 1;
-      let expressionStart = i;
-      
-      while (i < text.length && braceCount > 0) {
-        if (text[i] === '{') {
-          braceCount++;
-        } else if (text[i] === '}') {
-          braceCount--;
-          if (braceCount === 0 && i < text.length - 1 && text[i + 1] === '}') {
-            // Found matching }}
-            const content = text.slice(expressionStart, i);
-            const placeholder = `__TEMPLATE_EXPR_${templateIndex}__`;
-            protectedItems.push({ 
-              placeholder, 
-              content: content, // Keep original spacing
-              type: 'TEMPLATE_EXPR'
-            });
-            templateIndex++;
-            result += placeholder;
-            i += 2; // Skip }}
-            break;
-          }
-        }
-        i++;
-      }
-      
-      // If we didn't find a matching }}, treat as regular text
-      if (braceCount > 0) {
-        result += text.slice(start, expressionStart);
-        i = expressionStart;
-      }
-    } else {
-      result += text[i];
-      i++;
-    }
+// Map an offset in substituted text to the text before substitution. An offset inside a
+// placeholder lands on the first (or, for inclusive ends, the last) character it replaced.
+// `replacements` are in source order, so the one at or before `offset` is found by bisection.
+function mapOffset(offset, replacements, isEnd) {
+  let low = 0;
+  let high = replacements.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (replacements[middle].start <= offset) low = middle + 1;
+    else high = middle;
   }
-  
-  return result;
+  if (low === 0) return offset;
+  const { start, length, originalStart, originalLength } = replacements[low - 1];
+  if (offset < start + length) {
+    return isEnd ? originalStart + originalLength - 1 : originalStart;
+  }
+  return offset + originalStart + originalLength - (start + length);
 }
 
-// Preprocess text for XML parsing
-function preprocessText(text) {
-  const protectedItems = [];
-  
-  let processedText = protectWxsContent(text, protectedItems);
-  processedText = protectTemplateExpressions(processedText, protectedItems);
-  
-  return { processedText, protectedItems };
+// Line/column lookup for offsets in `text`, 1-based like the parser's `loc`
+function createPositionLookup(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
 }
 
-// Restore protected content in AST
-// Restore a single string property
-function restoreStringProperty(str, protectedItems) {
-  if (!str || typeof str !== 'string') return str;
-  
-  protectedItems.forEach(({ placeholder, content, type }) => {
-    if (str.includes(placeholder)) {
-      if (type === 'WXS_CONTENT') {
-        str = str.replaceAll(placeholder, content);
-      } else if (type === 'TEMPLATE_EXPR') {
-        str = str.replaceAll(placeholder, `{{${content}}}`);
-      }
+// Rewrite node positions (inclusive `end`) and their `loc` so they index into the original source
+function restoreLocations(node, toOriginalOffset, getPosition) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => restoreLocations(child, toOriginalOffset, getPosition));
+    return;
+  }
+  if (typeof node.start === 'number' && typeof node.end === 'number') {
+    node.start = toOriginalOffset(node.start, false);
+    node.end = toOriginalOffset(node.end, true);
+    node.range = [node.start, node.end];
+    node.loc = { start: getPosition(node.start), end: getPosition(node.end) };
+  }
+  Object.keys(node).forEach((key) => {
+    if (key !== 'loc' && key !== 'range' && typeof node[key] === 'object') {
+      restoreLocations(node[key], toOriginalOffset, getPosition);
     }
   });
-  
-  return str;
 }
 
-// Restore attribute values
-function restoreAttributeValue(value, protectedItems) {
-  if (!value || typeof value !== 'string') return value;
-  
+// Put the hidden source back in place of every placeholder in `str`, in one pass
+function restoreString(str, restored) {
+  if (typeof str !== 'string' || !str.includes(restored.prefix)) return str;
+  const { values } = restored;
+  return str.replace(restored.pattern, (placeholder) => (values.has(placeholder) ? values.get(placeholder) : placeholder));
+}
+
+// Source text for each placeholder, and the pattern of placeholders starting with `prefix`
+function createRestoreMap(protectedItems, prefix) {
+  const values = new Map();
   for (const { placeholder, content, type } of protectedItems) {
-    if (value.includes(placeholder)) {
-      if (type === 'WXS_CONTENT') {
-        value = value.replaceAll(placeholder, content);
-      } else if (type === 'TEMPLATE_EXPR') {
-        value = value.replaceAll(placeholder, `{{${content}}}`);
-      }
-    }
+    values.set(placeholder, type === 'TEMPLATE_EXPR' ? `{{${content}}}` : content);
   }
-  
-  return value;
+  return { prefix, values, pattern: new RegExp(`${prefix}(?:TEMPLATE_EXPR|WXS_CONTENT|TAG_NAME|BRACE)_\\d+__`, 'g') };
 }
 
 // Recursively restore protected content in AST
-function restoreProtectedContent(node, protectedItems) {
-  if (!node || typeof node !== 'object') return node;
-  
+function restoreProtectedContent(node, restored) {
+  if (!node || typeof node !== 'object') return;
+
   if (Array.isArray(node)) {
-    return node.map(child => restoreProtectedContent(child, protectedItems));
+    node.forEach((child) => restoreProtectedContent(child, restored));
+    return;
   }
-  
-  // Restore string properties
-  if (node.image) {
-    node.image = restoreStringProperty(node.image, protectedItems);
-  }
-  
-  // Restore attribute values
-  if (node.value !== undefined) {
-    node.value = restoreAttributeValue(node.value, protectedItems);
+
+  for (const key of ['image', 'name', 'value', 'rawValue']) {
+    if (typeof node[key] === 'string') node[key] = restoreString(node[key], restored);
   }
-  if (node.rawValue !== undefined) {
-    node.rawValue = restoreAttributeValue(node.rawValue, protectedItems);
+
+  Object.keys(node).forEach((key) => {
+    if (typeof node[key] === 'object') restoreProtectedContent(node[key], restored);
+  });
+}
+
+// @wxml/parser only knows <wxs>; turn other platforms' script elements into WXScript nodes
+function convertScriptElements(nodes, scriptTag) {
+  if (!Array.isArray(nodes)) return nodes;
+  return nodes.map((node) => {
+    if (!node || node.type !== 'WXElement') return node;
+    if (node.name !== scriptTag) {
+      node.children = convertScriptElements(node.children, scriptTag);
+      return node;
+    }
+    const children = node.children || [];
+    const value = children.length > 0 ? children.map((child) => child.value || child.rawValue || '').join('') : null;
+    const { children: _children, ...rest } = node;
+    return { ...rest, type: 'WXScript', value };
+  });
+}
+
+const missingEndTagError = "wx element missing slash open '</'";
+
+// Messages for @wxml/parser errors that have a plain-language reading
+const parseErrorMessages = {
+  "wx interpolation unexpected end": "Unterminated interpolation: missing closing '}}'",
+  "wx attribute value unexpected end": "Unterminated attribute value: missing closing quote",
+};
+
+// "Expecting ... but found --> '</' <--" from the parser's grammar, reduced to what was found
+function describeUnexpectedToken(value) {
+  const found = /but found:?\s*(?:-->\s*)?('(?:[^'\\]|\\.)*')/.exec(String(value));
+  return found ? `Unexpected ${found[1]}` : `Unexpected token: ${String(value).split('\n')[0]}`;
+}
+
+// First element (in document order) whose end tag names another element, or that is never closed.
+// @wxml/parser pairs end tags by position only, so mismatched names come back without an error.
+function findUnbalancedElement(nodes, kind) {
+  for (const node of nodes || []) {
+    if (!node || node.type !== 'WXElement') continue;
+    if (kind === 'mismatched' && node.endTag && node.endTag.name !== node.name) return node;
+    if (kind === 'unclosed' && !node.endTag && !(node.startTag && node.startTag.selfClosing)) return node;
+    const found = findUnbalancedElement(node.children, kind);
+    if (found) return found;
   }
-  
-  // Recursively process all object properties
-  Object.keys(node).forEach(key => {
-    if (typeof node[key] === 'object') {
-      node[key] = restoreProtectedContent(node[key], protectedItems);
+  return null;
+}
+
+// Throw the most telling problem of a parse as a Prettier-style syntax error. Runs on the
+// restored AST, so names and (inclusive) end positions refer to the source.
+function throwParseError(ast, text) {
+  const errors = (ast.errors || []).map((error) => {
+    // The lexer skips characters it can't read, which would drop them from the printed file. Lone
+    // braces in attribute values are masked ahead of it; anything else it skips is reported.
+    if (error.type === 'WXLexerError') {
+      return { value: error.value, message: `Unexpected character '${text[error.start]}'`, start: error.start, end: error.start + 1 };
     }
+    return {
+      value: error.value,
+      message: parseErrorMessages[error.value] || describeUnexpectedToken(error.value),
+      specific: Object.prototype.hasOwnProperty.call(parseErrorMessages, error.value),
+      start: error.start,
+      end: error.end + 1,
+    };
   });
-  
-  return node;
+  const specific = errors.find((error) => error.specific);
+  if (specific) {
+    // Point unterminated interpolations at their `{{` rather than the text after it
+    const open = specific.message.startsWith('Unterminated interpolation') ? text.lastIndexOf('{{', specific.start) : -1;
+    throw createSyntaxError(specific.message, text, open === -1 ? specific.start : open, specific.end);
+  }
+
+  const mismatched = findUnbalancedElement(ast.body, 'mismatched');
+  if (mismatched) {
+    const { endTag } = mismatched;
+    const message = `Unexpected closing tag </${endTag.name}>: expected </${mismatched.name}>`;
+    throw createSyntaxError(message, text, endTag.start, endTag.end + 1);
+  }
+
+  // The parser reports a missing `</` wherever an unclosed element ends; other errors come first
+  const unexpected = errors.find((error) => error.value !== missingEndTagError);
+  if (unexpected) throw createSyntaxError(unexpected.message, text, unexpected.start, unexpected.end);
+
+  const unclosed = findUnbalancedElement(ast.body, 'unclosed');
+  if (unclosed) {
+    const { startTag } = unclosed;
+    throw createSyntaxError(`Unclosed element <${unclosed.name}>`, text, startTag.start, startTag.end + 1);
+  }
+
+  if (errors.length > 0) throw createSyntaxError(errors[0].message, text, errors[0].start, errors[0].end);
 }
 
 const parser = {
-  parse(text) {
+  parse(text, options) {
+    const platform = resolvePlatform(options);
+
     // Preprocess text for XML parsing
-    const { processedText, protectedItems } = preprocessText(text);
+    const { processedText, protectedItems, prefix, toOriginalOffset } = preprocessText(text, platform);
     
     // Parse with @wxml/parser
-    let ast = wxmlParse(processedText);
+    let ast;
+    try {
+      ast = wxmlParse(processedText);
+    } catch (error) {
+      // The parser can fail on input it can't recover from; no position is known then
+      throw new SyntaxError(`Unable to parse WXML: ${error.message}`, { cause: error });
+    }
     
     // Restore protected content
-    ast = restoreProtectedContent(ast, protectedItems);
-    
-    // Add comment tokens to AST for ignore functionality
-    ast.commentTokens = ast.comments || [];
+    if (protectedItems.length > 0) restoreProtectedContent(ast, createRestoreMap(protectedItems, prefix));
+    restoreLocations(ast, toOriginalOffset, createPositionLookup(text));
+    throwParseError(ast, text);
+
+    if (platform.scriptTag !== 'wxs') {
+      ast.body = convertScriptElements(ast.body, platform.scriptTag);
+    }
     
     return ast;
   },
   astFormat: "wxml",
+  hasPragma: hasWxmlPragma,
   locStart(node) {
-    return node.location ? node.location.startOffset : 0;
+    return typeof node.start === 'number' ? node.start : 0;
   },
+  // @wxml/parser ends are inclusive
   locEnd(node) {
-    return node.location ? node.location.endOffset : 0;
+    return typeof node.end === 'number' ? node.end + 1 : 0;
   }
 };
 
@@ -0,0 +1,74 @@
+// Mini-program dialects. Every platform ships a WXML-like template language that only differs in
+// file extension, directive prefix (`wx:if` vs `a:if` ...), the tag hosting inline script modules
+// and whether events may be bound with the colon form (`bind:tap`); Alipay uses `onTap` instead.
+const platforms = {
+  wechat: {
+    name: "wechat",
+    parser: "wxml",
+    extension: ".wxml",
+    directivePrefix: "wx:",
+    scriptTag: "wxs",
+    colonEventBinding: true
+  },
+  alipay: {
+    name: "alipay",
+    parser: "axml",
+    extension: ".axml",
+    directivePrefix: "a:",
+    scriptTag: "import-sjs",
+    colonEventBinding: false
+  },
+  baidu: {
+    name: "baidu",
+    parser: "swan",
+    extension: ".swan",
+    directivePrefix: "s-",
+    scriptTag: "filter",
+    colonEventBinding: true
+  },
+  bytedance: {
+    name: "bytedance",
+    parser: "ttml",
+    extension: ".ttml",
+    directivePrefix: "tt:",
+    scriptTag: "sjs",
+    colonEventBinding: true
+  },
+  qq: {
+    name: "qq",
+    parser: "qml",
+    extension: ".qml",
+    directivePrefix: "qq:",
+    scriptTag: "qs",
+    colonEventBinding: true
+  },
+  jd: {
+    name: "jd",
+    parser: "jxml",
+    extension: ".jxml",
+    directivePrefix: "jd:",
+    scriptTag: "jds",
+    colonEventBinding: true
+  }
+};
+
+export const platformNames = Object.keys(platforms);
+
+export function getPlatform(name) {
+  return platforms[name] || platforms.wechat;
+}
+
+// Resolve the dialect: explicit mpPlatform, then the parser name, then the file extension
+export function resolvePlatform(options) {
+  const opts = options || {};
+  if (opts.mpPlatform && opts.mpPlatform !== "auto" && platforms[opts.mpPlatform]) {
+    return platforms[opts.mpPlatform];
+  }
+  const byParser = platformNames.find((name) => platforms[name].parser === opts.parser);
+  if (byParser && byParser !== "wechat") {
+    return platforms[byParser];
+  }
+  const filepath = typeof opts.filepath === "string" ? opts.filepath.toLowerCase() : "";
+  const byExtension = platformNames.find((name) => filepath.endsWith(platforms[name].extension));
+  return platforms[byExtension] || platforms.wechat;
+}
@@ -0,0 +1,23 @@
+// `@format` / `@prettier` pragmas, for --require-pragma and --insert-pragma
+
+// WXML: the first thing in the file is a comment holding only the pragma
+const wxmlPragmaRegex = /^\s*<!--\s*@(?:format|prettier)\s*-->/;
+
+// WXS: a leading `// @format` line or a `/** @format */` docblock
+const wxsPragmaRegex = /^\s*(?:\/\/\s*@(?:format|prettier)\s*(?:\n|$)|\/\*\*?(?:(?!\*\/)[\s\S])*?@(?:format|prettier)\b(?:(?!\*\/)[\s\S])*\*\/)/;
+
+export function hasWxmlPragma(text) {
+  return wxmlPragmaRegex.test(text);
+}
+
+export function insertWxmlPragma(text) {
+  return `<!-- @format -->\n\n${text.replace(/^\s*\n/, "")}`;
+}
+
+export function hasWxsPragma(text) {
+  return wxsPragmaRegex.test(text);
+}
+
+export function insertWxsPragma(text) {
+  return `// @format\n\n${text.replace(/^\s*\n/, "")}`;
+}
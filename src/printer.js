@@ -1,171 +1,175 @@
 import * as doc from "prettier/doc";
-import { parse } from "@babel/parser";
-import generate from "@babel/generator";
-
-const { group, hardline, indent, join, line, softline /*, ifBreak*/ } = doc.builders;
-
-const ignoreStartComment = "<!-- prettier-ignore-start -->";
-const ignoreEndComment = "<!-- prettier-ignore-end -->";
-
-// Helper: determine if inner lines of a mustache form a simple identifier (single line)
-function isSimpleMustacheIdentifier(innerLines) {
-  if (!Array.isArray(innerLines) || innerLines.length !== 1) return false;
-  const s = innerLines[0];
-  return /^[A-Za-z_$][0-9A-Za-z_$]*$/.test(s);
+import { formatWxsByBabelFallback, formatWxsByPrettier, getWxsIndentSize, printWxsCodeLines, recoverFromWxsError } from "./wxs.js";
+import { insertWxmlPragma } from "./pragma.js";
+import { getAttributePrintOrder, orderClassNames, printEventBindingKey } from "./attributes.js";
+import { getComponentDisplay, isInlineDisplay, isTransparentComponent } from "./elements.js";
+import { parseStyleDeclarations } from "./style.js";
+import { getCommentLines, getIgnoreDirective } from "./comments.js";
+import { getProseParts, getProseSeparator, isProseWrapEnabled } from "./prose.js";
+import { hoistImports, isImportSource, normalizeImportPath } from "./imports.js";
+import {
+  getFlatSegments,
+  getInterpolatedWords,
+  hasInterpolation,
+  prepareInterpolations,
+  printInterpolatedText,
+  printInterpolatedTextFlat,
+  queueInterpolations,
+} from "./expression.js";
+
+const { align, fill, group, hardline, ifBreak, indent, join, label, line, softline } = doc.builders;
+const { replaceEndOfLine } = doc.utils;
+
+const isTextNodeType = (n) => n && (n.type === "WXText" || n.type === "WXCharData");
+
+// Spans from each `<!-- prettier-ignore-start -->` comment to the next `<!-- prettier-ignore-end -->`,
+// as [start, end) offsets into the original text
+function buildIgnoreRanges(ast, opts) {
+  const ranges = [];
+  let start = null;
+  const visit = (nodes) => {
+    for (const node of nodes || []) {
+      if (!node) continue;
+      const directive = getIgnoreDirective(node);
+      if (directive) {
+        if (directive.kind === "start" && start === null) {
+          start = opts.locStart(node);
+        } else if (directive.kind === "end" && start !== null) {
+          ranges.push({ start, end: opts.locEnd(node) });
+          start = null;
+        }
+      }
+      if (node.type === "WXElement") visit(node.children);
+    }
+  };
+  visit(ast.body);
+  return ranges;
 }
 
-// Helper: build doc for multi-line mustache printed text, or return null if not applicable
-function buildMultiLineMustacheDocFromPrinted(printedText) {
-  if (typeof printedText !== "string" || !printedText.includes("\n")) return null;
-  const rawLines = printedText.split("\n").map((s) => s.trim());
-  if (rawLines[0] !== "{{" || rawLines[rawLines.length - 1] !== "}}") return null;
-
-  const innerLines = rawLines.slice(1, rawLines.length - 1);
-  const simple = isSimpleMustacheIdentifier(innerLines);
-
-  const contentDoc = [];
-  for (let li = 1; li < rawLines.length - 1; li++) {
-    contentDoc.push(hardline, rawLines[li]);
+// Nodes printed as written inside an ignore range; text and tags are laid out by their parent
+const verbatimNodeTypes = new Set(["WXElement", "WXScript", "WXComment"]);
+
+// Whether [start, end) lies inside one of `ranges`, which are sorted and don't overlap
+function isInIgnoreRange(ranges, start, end) {
+  let low = 0;
+  let high = ranges.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (ranges[middle].start <= start) low = middle + 1;
+    else high = middle;
   }
+  return low > 0 && end <= ranges[low - 1].end;
+}
 
-  if (simple) {
-    // Simple identifier like "title": content aligns with '{{', '}}' at parent indent
-    return [
-      indent([
-        hardline,
-        "{{",
-        ...contentDoc,
-      ]),
-      hardline,
-      "}}",
-      hardline,
-    ];
-  }
+const preferBreakTagsCache = new Map();
 
-  // Complex expression: indent inner content, align '}}' with '{{'
-  return [
-    indent([
-      hardline,
-      "{{",
-      indent(contentDoc),
-      hardline,
-      "}}",
-    ]),
-    hardline,
-  ];
+// Lowercased tag names from wxmlPreferBreakTags, parsed once per distinct option value
+function getPreferBreakTags(opts) {
+  const input = typeof opts.wxmlPreferBreakTags === "string" ? opts.wxmlPreferBreakTags : "";
+  if (!preferBreakTagsCache.has(input)) {
+    preferBreakTagsCache.set(input, new Set(input.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)));
+  }
+  return preferBreakTagsCache.get(input);
 }
 
-function buildIgnoreRanges(ast, comments) {
-  const ranges = [];
-  
-  // Use commentTokens from AST if available, otherwise fall back to comments parameter
-  const commentSource = ast && ast.commentTokens ? ast.commentTokens : comments;
-  commentSource.sort((left, right) => left.startOffset - right.startOffset);
-
-  let start = null;
-  for (let idx = 0; idx < commentSource.length; idx += 1) {
-    const comment = commentSource[idx];
-    if (comment.image === ignoreStartComment) {
-      start = comment.startOffset || 0;
-    } else if (start !== null && comment.image === ignoreEndComment) {
-      const end = comment.endOffset || 0;
-      ranges.push({ start, end });
-      start = null;
-    }
+// The comment right before a node, skipping whitespace-only text
+function getPrecedingComment(path) {
+  const { siblings, index } = path;
+  if (!siblings || typeof index !== "number") return null;
+  for (let i = index - 1; i >= 0; i--) {
+    const sibling = siblings[i];
+    if (isTextNodeType(sibling) && typeof sibling.value === "string" && sibling.value.trim() === "") continue;
+    return sibling.type === "WXComment" ? sibling : null;
   }
+  return null;
+}
 
-  return ranges;
+// `<!-- prettier-ignore -->` keeps the next sibling exactly as written
+function hasPrettierIgnore(path) {
+  const directive = getIgnoreDirective(getPrecedingComment(path));
+  return !!directive && directive.kind === "ignore";
 }
 
-function parseJsonOption(val) {
-  if (!val) return undefined;
-  if (typeof val === 'object') return val;
-  if (typeof val === 'string') {
-    try {
-      return JSON.parse(val);
-    } catch {
-      return undefined;
-    }
-  }
-  return undefined;
+// `<!-- prettier-ignore-attribute [names...] -->` keeps those attribute values (all when no names)
+// of the next element as written. Returns null when there is no such comment.
+function getIgnoredAttributeNames(path) {
+  const directive = getIgnoreDirective(getPrecedingComment(path));
+  return directive && directive.kind === "attribute" ? directive.names : null;
 }
 
-function printAttribute(path, opts, print) {
+// Printed through `print` so Prettier can track the cursor inside attribute values
+function printAttribute(path, opts, print, args = {}) {
   const node = path.getValue();
-  const { key, value, rawValue } = node;
+  const { value, rawValue } = node;
+
+  if (args.ignored) {
+    return replaceEndOfLine(opts.originalText.slice(opts.locStart(node), opts.locEnd(node)));
+  }
   
+  const key = printEventBindingKey(node.key, opts);
+
   // Handle boolean attributes (no value)
   if (value === null) {
     return key;
   }
   
   // Normalize attribute value quoting per wxmlSingleQuote
-  let attributeValue = rawValue != null ? rawValue : value;
-  if (typeof attributeValue === "string") {
-    attributeValue = normalizeAttrValueForWxmlQuotes(attributeValue, opts);
+  const raw = rawValue != null ? String(rawValue) : String(value);
+  const isQuoted = raw.length >= 2 && (raw[0] === '"' || raw[0] === "'") && raw.endsWith(raw[0]);
+  let content = isQuoted ? raw.slice(1, -1) : raw;
+  if (opts.wxmlSortImports && isImportSource(node, path.parent)) {
+    content = normalizeImportPath(content);
   }
-  
-  return `${key}=${attributeValue}`;
+  const quote = chooseAttrQuote(printInterpolatedTextFlat(node, content, opts), isQuoted ? raw[0] : null, opts);
+  if (node.key === "class") {
+    return [key, "=", printClassValue(node, content, quote, opts)];
+  }
+  if (node.key === "style") {
+    const declarations = parseStyleDeclarations(getFlatSegments(node, content, opts));
+    if (declarations) return [key, "=", printStyleValue(declarations, quote)];
+  }
+  return [key, "=", quote, printInterpolatedText(node, content, opts), quote];
 }
 
-function isPlaceholderLikeValue(value) {
-  if (value == null) return false;
-  let s = String(value);
-  // strip surrounding quotes if present
-  if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) {
-    s = s.slice(1, -1);
-  }
-  // detect long runs of the same symbol characters (e.g., ======, ------, ______, ......, ~~~~~~)
-  return /([=\-_.~*])\1{5,}/.test(s);
+// `prop: value` pairs on one line, or one per line with a trailing `;` when the list doesn't fit
+function printStyleValue(declarations, quote) {
+  if (declarations.length === 0) return [quote, quote];
+  const printed = declarations.map(({ property, value }) => `${property}: ${value}`);
+  return group([quote, indent([softline, join([";", line], printed), ifBreak(";")]), softline, quote]);
+}
+
+// Class names joined by single spaces; a list too long for the line wraps inside the quotes
+function printClassValue(node, content, quote, opts) {
+  const names = orderClassNames(getInterpolatedWords(node, content, opts), opts);
+  if (names.length < 2) return [quote, ...names, quote];
+  return group([quote, indent([softline, fill(join(line, names))]), softline, quote]);
 }
 
+// Attributes share the tag's line when the whole tag fits, otherwise each gets its own line
 function printStartTag(path, opts, print) {
   const node = path.getValue();
+  const attributes = node.attributes || [];
   const parts = ["<", node.name];
 
-  if (node.attributes && node.attributes.length > 0) {
-    const attributeDocs = node.attributes.map((attr) => {
-      return printAttribute({ getValue: () => attr }, opts, print);
-    });
-
-    // Calculate approximate length to decide line breaks
-    const attributesLength = attributeDocs.reduce((sum, current) => sum + String(current).length + 1, 0);
-    const printWidth = (typeof opts.wxmlPrintWidth === 'number') ? opts.wxmlPrintWidth : (opts.printWidth || 80);
-
-    // Heuristic: if multiple attributes look like placeholders with long repeated symbols, prefer breaking
-    const placeholderCount = (node.attributes || []).reduce((acc, attr) => {
-      const raw = attr.rawValue != null ? attr.rawValue : attr.value;
-      return acc + (isPlaceholderLikeValue(raw) ? 1 : 0);
-    }, 0);
-    const placeholderPenalty = placeholderCount > 0 ? placeholderCount * 10 : 0;
-
-    const approximateLength = node.name.length + 1 + attributesLength + placeholderPenalty; // "<" + name + space + attrs
-
-    const shouldBreak =
-      approximateLength > printWidth ||
-      placeholderCount >= 2 ||
-      (node.selfClosing && node.attributes.length >= 4);
-
-    if (shouldBreak) {
-      // Break attributes to multiple lines
-      const indentedAttributes = indent([
-        softline,
-        join(hardline, attributeDocs)
-      ]);
-      parts.push(indentedAttributes, hardline);
-    } else {
-      // Keep on same line
-      parts.push(" ", join(" ", attributeDocs));
-    }
+  if (attributes.length > 0) {
+    const ignoredNames = path.parent && path.parent.type === "WXElement" ? path.callParent(getIgnoredAttributeNames) : null;
+    const isIgnored = (attr) => !!ignoredNames && (ignoredNames.length === 0 || ignoredNames.includes(attr.key));
+    const attributeDocs = getAttributePrintOrder(attributes, opts).map((index) =>
+      print(["attributes", index], { ignored: isIgnored(attributes[index]) })
+    );
+    parts.push(indent([line, join(line, attributeDocs)]));
   }
 
-  if (node.selfClosing) {
-    parts.push(" />");
+  // With bracketSameLine the closing bracket stays after the last attribute
+  const keepBracket = attributes.length === 0 || opts.bracketSameLine;
+  const selfClosing = path.parent && path.parent.startTag === node ? isPrintedSelfClosing(path.parent, opts) : node.selfClosing;
+  if (selfClosing) {
+    parts.push(keepBracket ? " " : line, "/>");
   } else {
-    parts.push(">");
+    parts.push(keepBracket ? "" : softline, ">");
   }
 
-  return parts;
+  return group(parts, { shouldBreak: !!opts.singleAttributePerLine && attributes.length > 1 });
 }
 
 function printEndTag(path, opts, print) {
@@ -173,254 +177,285 @@ function printEndTag(path, opts, print) {
   return `</${node.name}>`;
 }
 
-// Merge default Babel parser options with user-provided ones from Prettier rc
-function getBabelParserOptions(opts) {
-  const userRaw = (opts && opts.wxsBabelParserOptions) ? opts.wxsBabelParserOptions : undefined;
-  const user = parseJsonOption(userRaw) || {};
-  return {
-    sourceType: 'script',
-    allowReturnOutsideFunction: true,
-    allowAwaitOutsideFunction: true,
-    allowSuperOutsideMethod: true,
-    plugins: [
-      // 常见现代语法，尽量容忍更多写法
-      'jsx',
-      'classProperties',
-      'optionalChaining',
-      'nullishCoalescingOperator',
-      'dynamicImport',
-      'numericSeparator',
-      'topLevelAwait',
-      'logicalAssignment',
-      'objectRestSpread'
-    ],
-    // allow users to specify additional parser plugins, etc.
-    ...user
-  };
+// Whitespace-only children print as nothing, except inside <text> where they are content
+function isEmptyElement(node) {
+  if (node.type === "WXScript") return !node.value || node.value.trim() === "";
+  const children = node.children || [];
+  if (getElementName(node).toLowerCase() === "text") return children.length === 0;
+  return children.every((child) => isTextNodeType(child) && String(child.value).trim() === "");
 }
 
-// Merge default Babel generator options with user-provided ones from Prettier rc
-function getBabelGeneratorOptions(opts, useSingleQuote) {
-  const userRaw = (opts && opts.wxsBabelGeneratorOptions) ? opts.wxsBabelGeneratorOptions : undefined;
-  const user = parseJsonOption(userRaw) || {};
-  return {
-    comments: true,
-    compact: false,
-    retainLines: false,
-    quotes: useSingleQuote ? 'single' : 'double',
-    jsescOption: { quotes: useSingleQuote ? 'single' : 'double' },
-    semicolons: opts.wxsSemi !== false,
-    
-    // ===== 关于 wxsPrintWidth 不支持的技术说明 =====
-    // 
-    // 1. Babel Generator 的设计局限：
-    //    @babel/generator 是一个 AST-to-code 转换器，专注于语法正确性而非格式美观。
-    //    它没有内置的"列宽感知"逻辑，不会根据 printWidth 自动决定何时换行。
-    //    这与 Prettier 的核心格式化引擎完全不同 —— Prettier 有复杂的布局算法。
-    //
-    // 2. 当前架构的权衡：
-    //    - 优势：使用 Babel 解析+生成确保了 WXS 代码的语法兼容性和稳定性
-    //    - 劣势：无法提供 Prettier 级别的智能换行和列宽控制
-    //    - 现实：大多数 <wxs> 块都比较简短，复杂格式化需求相对较少
-    //
-    // 3. 替代方案的复杂性：
-    //    要真正支持 wxsPrintWidth，需要：
-    //    a) 将 WXS 代码交给 Prettier 的 JS 解析器重新格式化
-    //    b) 处理 Prettier 与 Babel 在语法支持上的细微差异
-    //    c) 确保格式化结果在小程序环境中的兼容性
-    //    d) 增加错误处理复杂度（两套解析器的错误需要统一处理）
-    //
-    // 4. 当前策略：
-    //    保持 Babel 生成路径的简洁性，通过 wxsSemi/wxsSingleQuote 提供基础格式控制，
-    //    避免引入可能破坏现有项目的复杂格式化逻辑。
-    //
-    // 如果项目确实需要复杂的 WXS 格式化，建议：
-    // - 将复杂逻辑提取到独立的 .js 文件中，用标准 Prettier 格式化
-    // - 在 <wxs> 中保持简洁的代码结构
-    // =====================================================
-    
-    ...user
-  };
+// Whether an element prints as `<tag />` under wxmlSelfClosing
+function isPrintedSelfClosing(node, opts) {
+  const selfClosing = !!(node.startTag && node.startTag.selfClosing);
+  if (opts.wxmlSelfClosing === "never") return false;
+  if (opts.wxmlSelfClosing !== "always" || selfClosing) return selfClosing;
+  return !!node.endTag && isEmptyElement(node);
 }
 
-// Quick syntax check via Babel to avoid Prettier throwing parser errors
-function canParseWithBabel(jsCode, opts) {
-  try {
-    parse(jsCode, getBabelParserOptions(opts));
-    return true;
-  } catch {
-    return false;
-  }
+// The source end tag, or one written out for a self-closing tag that prints as a pair
+function printClosingTag(path, opts, print) {
+  const node = path.getValue();
+  if (node.endTag) return print("endTag");
+  return node.startTag && node.startTag.selfClosing ? `</${node.startTag.name}>` : "";
 }
 
-// Use Prettier to format JS inside <wxs>
-function formatWxsByPrettier(jsCode, opts) {
-  // 不再尝试内嵌调用 Prettier（v3 的 format 为 Promise，打印器无法等待），统一走 Babel 生成路径
-  return null;
+// Decide the attribute quote from the preference and the (printed) content
+function chooseAttrQuote(content, originalQuote, opts) {
+  const preferSingle = !!opts.wxmlSingleQuote;
+  if (preferSingle && !content.includes("'")) return "'";
+  if (!preferSingle && !content.includes('"')) return '"';
+  return originalQuote || (preferSingle ? "'" : '"');
 }
 
-// Fallback: Use Babel generator to produce stable output close to Prettier
-function formatWxsByBabelCompat(jsCode, opts) {
-  try {
-    const ast = parse(jsCode, getBabelParserOptions(opts));
-    const useSingle = opts.wxsSingleQuote !== false; // default true
-    const gen = (generate && (generate.default || generate));
-    if (typeof gen !== 'function') {
-      throw new TypeError('generate is not a function');
+// Assemble a <wxs> block from its tags and the doc of its formatted JavaScript, which follows
+// the indentation of the element tree around the tag
+function printWxsScript(path, opts, print, body) {
+  const node = path.getValue();
+  const parts = [];
+
+  if (node.startTag) {
+    parts.push(print("startTag"));
+    if (isPrintedSelfClosing(node, opts)) {
+      return parts; // self-closing: no content, no end tag
     }
-    const { code } = gen(
-      ast,
-      getBabelGeneratorOptions(opts, useSingle),
-      jsCode
-    );
-    let pretty = code.replace(/\bfunction\(/g, 'function (');
-    return pretty.trimEnd();
-  } catch (e) {
-    // 错误处理说明：解析/生成失败不会直接抛出致命错误，先输出简要错误信息，随后返回 null。
-    // 上层 printMisc 在收到 null 后，会抛出一个统一的错误以保留原始内容并中止内嵌格式化。
-    try { console.error('[wxs][babel] parse/generate error:', e && e.message); } catch {}
-    return null;
   }
-}
 
-function indentLines(text, indentSize) {
-  const pad = " ".repeat(indentSize);
-  return text
-    .split("\n")
-    .map((l) => (l.trim() ? pad + l : l))
-    .join("\n");
-}
+  if (body != null) {
+    const content = [hardline, body];
+    parts.push(opts.wxmlIndentScriptContent === false ? content : align(getWxsIndentSize(opts), content), hardline);
+  }
 
-function formatInlineJsExpression(expr, opts) {
-  if (typeof expr !== 'string') return expr;
-  // 1) Collapse any newlines (and surrounding spaces) into a single space
-  let s = expr.replace(/[ \t]*[\r\n]+[ \t]*/g, ' ');
-  // 2) Normalize spaces around logical operators without touching others
-  s = s.replace(/\s*&&\s*/g, ' && ').replace(/\s*\|\|\s*/g, ' || ');
-  return s.trim();
+  parts.push(printClosingTag(path, opts, print));
+  return parts;
 }
 
-function formatWxmlInterpolations(text, opts) {
-  if (typeof text !== 'string' || text.indexOf('{{') === -1) return text;
-  return text.replace(/{{(\s*)([\s\S]*?)(\s*)}}/g, (m, lws, expr, rws) => {
-    const formatted = formatInlineJsExpression(expr, opts);
-    return `{{${lws}${formatted}${rws}}}`;
-  });
+// `<template is data="{{ ...item, index }}">`: the value is the body of an object literal
+function isTemplateData(attribute, startTag) {
+  return attribute.key === "data" && !!startTag && startTag.name === "template";
 }
 
-function normalizeAttrValueForWxmlQuotes(value, opts) {
-  if (value == null) return null;
-  let attributeValue = String(value);
-  // Apply inline expression formatting inside quotes or raw
-  const isQuoted = (attributeValue.startsWith('"') && attributeValue.endsWith('"')) || (attributeValue.startsWith("'") && attributeValue.endsWith("'"));
-  if (isQuoted) {
-    const quote = attributeValue[0];
-    let content = attributeValue.slice(1, -1);
-    content = formatWxmlInterpolations(content, opts);
-    // Decide final quote style based on preference and content
-    const preferSingle = !!opts.wxmlSingleQuote;
-    if (preferSingle && !content.includes("'")) {
-      attributeValue = `'${content}'`;
-    } else if (!preferSingle && !content.includes('"')) {
-      attributeValue = `"${content}"`;
-    } else {
-      attributeValue = `${quote}${content}${quote}`;
-    }
-  } else {
-    // Not quoted; first format interpolations then add quotes
-    const content = formatWxmlInterpolations(attributeValue, opts);
-    attributeValue = opts.wxmlSingleQuote ? `'${content}'` : `"${content}"`;
+function embed(path, opts) {
+  const node = path.getValue();
+  // {{ }} interpolations are parsed here, ahead of the synchronous print, and kept for it
+  if ((node.type === "WXText" || node.type === "WXCharData") && hasInterpolation(node.value)) {
+    queueInterpolations(node.value, opts);
+    return async (textToDoc) => {
+      await prepareInterpolations(node, node.value, textToDoc, opts);
+      return undefined;
+    };
+  }
+  if (node.type === "WXAttribute" && hasInterpolation(node.value)) {
+    const isObjectBody = isTemplateData(node, path.parent);
+    queueInterpolations(node.value, opts, isObjectBody);
+    return async (textToDoc) => {
+      await prepareInterpolations(node, node.value, textToDoc, opts, opts.wxmlSingleQuote ? "'" : '"', isObjectBody);
+      return undefined;
+    };
+  }
+  if (node.type !== "WXScript" || !node.value || opts.wxsFormatter === 'babel') {
+    return undefined;
   }
-  return attributeValue;
+  // Parse errors are swallowed by Prettier here; printMisc then retries with the Babel fallback
+  return async (textToDoc, print) => {
+    const formatted = await formatWxsByPrettier(node.value.trim(), textToDoc, opts);
+    return printWxsScript(path, opts, print, formatted === "" ? null : printWxsCodeLines(formatted, opts));
+  };
 }
 
-function enforceWxsStringQuotes(code, useSingleQuote) {
-  if (typeof code !== 'string') return code;
-  if (useSingleQuote) {
-    // Convert simple double-quoted strings (no quotes or backslashes inside) to single-quoted
-    return code.replace(/\"([^\"'\\\n\r]*)\"/g, "'$1'");
-  } else {
-    // Convert simple single-quoted strings (no quotes or backslashes inside) to double-quoted
-    return code.replace(/'([^\"'\\\n\r]*)'/g, '"$1"');
-  }
+// Source text between the <wxs> tags, exactly as written
+function getWxsSourceBody(node, opts) {
+  if (!node.startTag || !node.endTag) return node.value;
+  return opts.originalText.slice(opts.locEnd(node.startTag), opts.locStart(node.endTag));
 }
 
 function printMisc(path, opts, print) {
   const node = path.getValue();
   
-  // Handle WXScript nodes
+  // Handle WXScript nodes (reached when embed is skipped: wxsFormatter=babel,
+  // embeddedLanguageFormatting=off, or Prettier could not parse the code)
   if (node.type === "WXScript") {
-    let result = "";
-    
-    // Print start tag manually
-    if (node.startTag) {
-      const isSelfClosing = !!node.startTag.selfClosing;
-      result += `<${node.startTag.name}`;
-      if (node.startTag.attributes && node.startTag.attributes.length > 0) {
-        for (const attr of node.startTag.attributes) {
-          const normalized = attr.value === null
-            ? attr.key
-            : `${attr.key}=${normalizeAttrValueForWxmlQuotes(attr.value, opts)}`;
-          result += ` ${normalized}`;
-        }
-      }
-      if (isSelfClosing) {
-        result += " />";
-        return result; // self-closing: no content, no end tag
-      } else {
-        result += ">";
-      }
+    if (!node.value) {
+      return printWxsScript(path, opts, print, null);
     }
-    
+
     // Print content with proper JavaScript formatting
-    if (node.value) {
-      result += "\n";
-      const jsCode = node.value.trim();
-      const indentSize = typeof opts.wxsTabWidth === 'number' ? opts.wxsTabWidth : (opts.tabWidth || 2);
-
-      let formatted = null; // 不再使用 Prettier 路径
-      if (formatted == null) {
-        formatted = formatWxsByBabelCompat(jsCode, opts);
-      }
-      if (typeof formatted === 'string') {
-        // Enforce preferred string quote style for simple literals only when formatted
-        const useSingle = opts.wxsSingleQuote !== false;
-        formatted = enforceWxsStringQuotes(formatted, useSingle);
-      } else {
-        try {
-          const snippet = jsCode.split('\n').slice(0, 5).join('\n');
-          console.error('[wxs] Unable to format. First lines:', snippet);
-        } catch {}
-        // 统一的失败处理：抛出错误以便上层保留原始内容，避免错误输出破坏结构
-        throw new Error("Failed to parse/format <wxs> JavaScript");
-      }
-      const content = (formatted.endsWith("\n") ? formatted : formatted + "\n");
-      result += indentLines(content, indentSize);
-    }
-    
-    // Print end tag manually
-    if (node.endTag) {
-      result += `</${node.endTag.name}>`;
+    const body = getWxsSourceBody(node, opts);
+    const codeOffset = opts.locEnd(node.startTag) + body.length - body.trimStart().length;
+    try {
+      const formatted = formatWxsByBabelFallback(node.value.trim(), opts, opts.originalText, codeOffset);
+      return printWxsScript(path, opts, print, formatted.trim() === "" ? null : printWxsCodeLines(formatted, opts));
+    } catch (error) {
+      recoverFromWxsError(error, opts);
+      return [print("startTag"), replaceEndOfLine(body), printClosingTag(path, opts, print)];
     }
-    
-    return result;
   }
   
   throw new Error(`printMisc received unknown node type: ${node.type}. This is a bug in the printer.`);
 }
 
-function printCharData(path, opts, print) {
+// `args.trim` drops outer whitespace laid out by the parent; `args.flat` keeps interpolations on one line;
+// `args.prose` returns the words of the text for the parent to fill (see getChildItems)
+function printCharData(path, opts, print, args = {}) {
   const node = path.getValue();
   const { value } = node;
   if (value == null) return "";
+  if (args.prose) {
+    return label("wxml-prose", fill(getProseParts(getFlatSegments(node, value, opts), opts)));
+  }
   if (value.trim() === "") {
     // Return whitespace as-is; element-level logic decides whether to keep it
     return value;
   }
-  // Normalize inline template expressions
-  const normalized = formatWxmlInterpolations(value, opts);
+  // Formatted inline template expressions (kept verbatim when they could not be parsed)
   // Do not trim() here to avoid silently removing significant leading/trailing spaces in text nodes
-  return normalized;
+  return args.flat
+    ? printInterpolatedTextFlat(node, value, opts, !!args.trim)
+    : printInterpolatedText(node, value, opts, !!args.trim);
+}
+
+function getElementName(node) {
+  return (node.startTag && node.startTag.name) || (node.endTag && node.endTag.name) || "";
+}
+
+// Display an element shows at its start or end. A transparent tag (<block>) shows that of its
+// first or last child there, and text or unknown content counts as inline.
+function getSideDisplay(node, side) {
+  const name = getElementName(node);
+  if (!isTransparentComponent(name)) return getComponentDisplay(name);
+  const children = (node.children || []).filter((child) => !(isTextNodeType(child) && String(child.value == null ? "" : child.value).trim() === ""));
+  const child = side === "start" ? children[0] : children[children.length - 1];
+  return child && child.type === "WXElement" ? getSideDisplay(child, side) : "inline";
+}
+
+// Display a <block> meets just inside its tags on `side`: whatever is next to the block outside
+// it, since the block itself renders nothing. At the edge of the file nothing renders.
+function getBlockEdgeDisplay(path, side) {
+  const { siblings, index, parent } = path;
+  if (siblings && typeof index === "number") {
+    const step = side === "start" ? -1 : 1;
+    for (let i = index + step; i >= 0 && i < siblings.length; i += step) {
+      const sibling = siblings[i];
+      if (isTextNodeType(sibling) && String(sibling.value == null ? "" : sibling.value).trim() === "") continue;
+      return sibling.type === "WXElement" ? getSideDisplay(sibling, side === "start" ? "end" : "start") : "inline";
+    }
+  }
+  if (!parent || parent.type !== "WXElement") return "block";
+  const parentName = getElementName(parent).toLowerCase();
+  if (parentName === "block") return path.callParent((parentPath) => getBlockEdgeDisplay(parentPath, side));
+  return getComponentDisplay(parentName);
+}
+
+// Whether whitespace on the `side` ("start" or "end") of a child can render, given
+// wxmlWhitespaceSensitivity
+function isInlineSide(item, side, opts) {
+  if (opts.wxmlWhitespaceSensitivity === "strict") return true;
+  if (opts.wxmlWhitespaceSensitivity === "ignore") return false;
+  // Text renders, and comments don't: whitespace on either side of one reaches its neighbour
+  if (item.kind === "text" || item.kind === "comment") return true;
+  if (item.kind === "element") return isInlineDisplay(getSideDisplay(item.node, side));
+  // The parent's tags count as its edges: inside a block-level tag, outer whitespace is dropped
+  if (item.kind === "edge") return isInlineDisplay(item.display[side]);
+  return false;
+}
+
+// Words and separators of a text node printed with `args.prose`. Prettier wraps the printed doc
+// with cursor markers when the cursor is in the node; they move onto the edge words.
+function getPrintedProseParts(printed) {
+  const { contents } = printed;
+  if (contents.type === "fill") return [...contents.parts];
+  const index = contents.findIndex((part) => part.type === "fill");
+  const parts = [...contents[index].parts];
+  if (index > 0) parts[0] = [contents[0], parts[0]];
+  if (index < contents.length - 1) parts[parts.length - 1] = [parts[parts.length - 1], contents[index + 1]];
+  return parts;
+}
+
+// Children as printable items, with the source whitespace found around each one. Under
+// wxmlProseWrap, text lines separated by single line breaks (the parser splits text at each one)
+// join into one paragraph filled to the print width; blank lines still separate paragraphs.
+function getChildItems(path, opts, print, key) {
+  const items = [];
+  const prose = isProseWrapEnabled(opts);
+  let pendingWhitespace = "";
+  const pushItem = (item, leading) => {
+    item.leadingWhitespace = pendingWhitespace + leading;
+    if (items.length > 0) items[items.length - 1].trailingWhitespace = item.leadingWhitespace;
+    items.push(item);
+  };
+  path.each((childPath) => {
+    const child = childPath.getValue();
+    if (isTextNodeType(child) || child.type === "WXInterpolation") {
+      const value = isTextNodeType(child) ? (child.value == null ? "" : String(child.value)) : child.rawValue;
+      if (value.trim() === "") {
+        pendingWhitespace += value;
+        return;
+      }
+      const leading = value.slice(0, value.length - value.trimStart().length);
+      const trailing = value.slice(value.trimEnd().length);
+      const trimmed = value.trim();
+      if (prose && isTextNodeType(child)) {
+        const parts = getPrintedProseParts(print(undefined, { trim: true, prose: true }));
+        const previous = items[items.length - 1];
+        const whitespace = pendingWhitespace + leading;
+        if (previous && previous.parts && whitespace !== "" && (whitespace.match(/\n/g) || []).length < 2) {
+          previous.parts.push(getProseSeparator(whitespace, previous.lastChar, trimmed[0], opts), ...parts);
+          previous.lastChar = trimmed[trimmed.length - 1];
+        } else {
+          pushItem({ kind: "text", parts, lastChar: trimmed[trimmed.length - 1] }, leading);
+        }
+      } else {
+        pushItem({
+          kind: "text",
+          doc: isTextNodeType(child) ? print(undefined, { trim: true }) : trimmed,
+        }, leading);
+      }
+      pendingWhitespace = trailing;
+    } else {
+      pushItem({
+        kind: child.type === "WXElement" ? "element" : child.type === "WXComment" ? "comment" : "script",
+        node: child,
+        doc: print(),
+      }, "");
+      pendingWhitespace = "";
+    }
+  }, key);
+  if (items.length > 0) items[items.length - 1].trailingWhitespace = pendingWhitespace;
+  for (const item of items) {
+    if (item.parts) item.doc = fill(item.parts);
+  }
+  return items;
+}
+
+// Separator between two neighbours (either may be the parent's tag). Whitespace that can render
+// is kept as a `line` and its absence as nothing; elsewhere children go on their own lines,
+// except text, which may still share the line with a block-level parent's tags.
+function printSeparator(previous, next, whitespace, opts) {
+  if (isInlineSide(previous, "end", opts) && isInlineSide(next, "start", opts)) {
+    return whitespace ? line : "";
+  }
+  const textAtEdge = (previous.kind === "edge" && next.kind === "text") || (previous.kind === "text" && next.kind === "edge");
+  if (textAtEdge) return whitespace ? line : softline;
+  return hardline;
+}
+
+// `<template name>`: a template definition, as opposed to a `<template is>` use
+function isTemplateDefinition(item) {
+  return item.kind === "element" && getElementName(item.node).toLowerCase() === "template" &&
+    !!item.node.startTag && (item.node.startTag.attributes || []).some((attribute) => attribute.key === "name");
+}
+
+// Between siblings, one blank line of the source survives (more collapse to one). Template
+// definitions always get a blank line around them, except from the comments that introduce them.
+function printSiblingSeparator(previous, next, opts) {
+  const whitespace = next.leadingWhitespace;
+  if ((whitespace.match(/\n/g) || []).length >= 2) {
+    return [hardline, hardline];
+  }
+  if (isTemplateDefinition(previous) || (isTemplateDefinition(next) && previous.kind !== "comment")) {
+    return [hardline, hardline];
+  }
+  return printSeparator(previous, next, whitespace, opts);
 }
 
 function printElement(path, opts, print) {
@@ -429,167 +464,57 @@ function printElement(path, opts, print) {
   if (node.startTag) {
     // <text> 的处理采用 "早退" 策略，但在此之前仍然会打印开始标签
     parts.push(path.call(print, "startTag"));
+    if (isPrintedSelfClosing(node, opts)) return group(parts);
   }
+  const lowerName = getElementName(node).toLowerCase();
   if (node.children && node.children.length > 0) {
-    // Decide whether to inline children based on their raw content
-    const child0 = node.children[0];
-    const isTextNodeType = (n) => n && (n.type === "WXText" || n.type === "WXCharData");
-    const isTextLikeNode = (n) => isTextNodeType(n) || n.type === "WXInterpolation";
-    const getNodeString = (n) => {
-      if (isTextNodeType(n)) return typeof n.value === 'string' ? n.value : '';
-      if (n.type === 'WXInterpolation') return typeof n.rawValue === 'string' ? n.rawValue : '';
-      return '';
-    };
-    const getNodeLen = (n) => getNodeString(n).length;
-
-    const trimmedLen0 = isTextNodeType(child0) && typeof child0.value === 'string' ? child0.value.trim().length : 0;
-    const singleTextInline = node.children.length === 1 &&
-      isTextNodeType(child0) &&
-      trimmedLen0 > 0 &&
-      trimmedLen0 < 50 &&
-      !child0.value.includes("\n");
-
-    // Determine if children are purely textual/interpolation
-    const onlyTextualChildren = node.children.every((n) => isTextLikeNode(n));
-    const hasNewline = node.children.some((n) => getNodeString(n).includes("\n"));
-    const totalLen = node.children.reduce((acc, n) => acc + getNodeLen(n), 0);
-    const hasMeaningful = node.children.some((n) => (isTextNodeType(n) && typeof n.value === 'string' && n.value.trim() !== '') || n.type === 'WXInterpolation');
-    const smallInlineMix = node.children.length <= 3 && onlyTextualChildren && !hasNewline && totalLen < 50 && hasMeaningful;
-
-    const tagName = (node.startTag && node.startTag.name) || (node.endTag && node.endTag.name) || "";
-    const lowerName = typeof tagName === "string" ? tagName.toLowerCase() : "";
-
     // EARLY RETURN for <text>: verbatim children, no manipulation
-    // 说明：<text> 的子节点按原样输出，不进行空白折叠或换行控制；如果存在属性则强制不内联。
+    // 说明：<text> 的子节点按原样输出，不进行空白折叠或换行控制（仅格式化 {{ }} 内部的表达式）。
     if (lowerName === 'text') {
       for (let i = 0; i < node.children.length; i++) {
         const childNode = node.children[i];
-        if ((childNode.type === "WXText" || childNode.type === "WXCharData") && typeof childNode.value === 'string') {
-          parts.push(childNode.value);
+        if (isTextNodeType(childNode) && typeof childNode.value === 'string') {
+          parts.push(path.call((childPath) => print(undefined, { flat: true }), "children", i));
         } else if (childNode.type === 'WXInterpolation' && typeof childNode.rawValue === 'string') {
           parts.push(childNode.rawValue);
         } else {
           parts.push(path.call(print, "children", i));
         }
       }
-      if (node.endTag) {
-        parts.push(path.call(print, "endTag"));
-      }
+      parts.push(printClosingTag(path, opts, print));
       return group(parts);
     }
 
-    // Only true block-level tag that must never inline
-    const isAlwaysBlock = lowerName === "block";
-
-    // Build prefer-break tags set from options
-    const preferBreakTagsInput = (typeof opts.wxmlPreferBreakTags === 'string') ? opts.wxmlPreferBreakTags : '';
-    const preferBreakTags = new Set(preferBreakTagsInput.split(',').map(s => s.trim().toLowerCase()).filter(Boolean));
-    const isPreferBlock = preferBreakTags.has(lowerName);
-
-    // Attributes presence (for simple <text> rule)
-    const attrsArr = (node.startTag && Array.isArray(node.startTag.attributes)) ? node.startTag.attributes : [];
-    const hasAnyAttrs = attrsArr.length > 0;
-
-    // Simplified: treat <block> as always-block, selected tags as prefer-break.
-    let shouldInline = (singleTextInline || smallInlineMix) && !isAlwaysBlock && !isPreferBlock;
-    // Only <text> strictly checks: if it has any attributes, force break (no inline)
-    if (lowerName === 'text' && hasAnyAttrs) {
-      shouldInline = false;
-    }
-    // For <text>, baseline: do not inline unless content is short/simple and structure is trivial
-    if (lowerName === 'text') {
-      shouldInline = false;
-      if (!hasAnyAttrs && onlyTextualChildren && !hasNewline && node.children.length === 1) {
-        const only = node.children[0];
-        const rawCombined = getNodeString(only);
-        const trimmed = typeof rawCombined === 'string' ? rawCombined.trim() : '';
-        const isSingleMustache = trimmed.startsWith('{{') && trimmed.endsWith('}}');
-        const containsMustache = typeof rawCombined === 'string' && rawCombined.includes('{{');
-        if (containsMustache && isSingleMustache) {
-          const inner = trimmed.slice(2, -2);
-          // Complexity heuristics: break if contains object/array literal, or has multiple &&, or both && and ||
-          const hasObjectLiteral = /\{[^}]*:/.test(inner);
-          const hasArrayLiteral = /\[[^\]]*,[^\]]*\]/.test(inner) || /^\s*\[/.test(inner.trim());
-          const andCount = (inner.match(/&&/g) || []).length;
-          const hasOr = inner.includes('||');
-          const complex = hasObjectLiteral || hasArrayLiteral || andCount >= 2 || (andCount >= 1 && hasOr);
-          shouldInline = !complex;
-        } else if (isTextNodeType(only)) {
-          // single pure text: inline if reasonably short
-          shouldInline = trimmed.length <= 50;
-        }
-      }
-    }
-
-    // Note: <text> is handled via early return above; strict text mode is unused.
-
-    // Now collect printed children according to the decision
-    const childrenParts = [];
-    const childEntries = [];
-    for (let i = 0; i < node.children.length; i++) {
-      const childNode = node.children[i];
-      if (!shouldInline) {
-        if ((childNode.type === "WXText" || childNode.type === "WXCharData") && typeof childNode.value === 'string' && childNode.value.trim() === '') {
-          continue; // drop whitespace-only nodes when not inlining
-        }
-      }
-      // Normal printing for non-<text> tags; <text> has already early-returned above.
-      const printed = path.call(print, "children", i);
-      if (printed && printed !== "") {
-        childrenParts.push(printed);
-        childEntries.push({ index: i, node: childNode, printed });
-      }
-    }
-
-    if (childrenParts.length > 0) {
-      if (shouldInline) {
-        parts.push(...childrenParts);
-      } else {
-        const childrenWithBreaks = [];
-        for (let i = 0; i < childrenParts.length; i++) {
-          if (i > 0) childrenWithBreaks.push(hardline);
-          const entry = childEntries[i];
-          const printed = childrenParts[i];
-          // Split multi-line text nodes into doc parts separated by hardline
-          if (entry && (entry.node.type === "WXText" || entry.node.type === "WXCharData") && typeof printed === "string" && printed.includes("\n")) {
-            const lines = printed.split("\n");
-            for (let li = 0; li < lines.length; li++) {
-              if (li > 0) childrenWithBreaks.push(hardline);
-              if (lines[li] !== "") {
-                childrenWithBreaks.push(lines[li]);
-              }
-            }
-          } else {
-            childrenWithBreaks.push(printed);
-          }
-        }
-        {
-          // Special-case: multi-line mustache block like "{{\n  title\n}}" inside non-<text> tag
-          let didSpecial = false;
-          if (lowerName !== 'text' && childrenParts.length === 1 && childEntries.length === 1) {
-          const entry0 = childEntries[0];
-          const printed0 = childrenParts[0];
-          const raw0 = getNodeString(entry0.node);
-          const isTextNode = entry0 && (entry0.node.type === "WXText" || entry0.node.type === "WXCharData");
-          if (isTextNode && typeof printed0 === 'string') {
-          const mlDoc = buildMultiLineMustacheDocFromPrinted(printed0);
-          if (mlDoc) {
-            parts.push(...mlDoc);
-            didSpecial = true;
-          }
-          }
-          }
-          // Normal path
-          if (!didSpecial) {
-            parts.push(indent([hardline, ...childrenWithBreaks]), hardline);
-          }
-        }
-      }
+    const items = getChildItems(path, opts, print, "children");
+    if (items.length > 0) {
+      // The display seen past each tag: the opening one ends where the children start
+      const display = getComponentDisplay(lowerName);
+      const edge = {
+        kind: "edge",
+        display: lowerName === "block"
+          ? { end: getBlockEdgeDisplay(path, "start"), start: getBlockEdgeDisplay(path, "end") }
+          : { end: display, start: display },
+      };
+      const children = [];
+      items.forEach((item, index) => {
+        if (index > 0) children.push(printSiblingSeparator(items[index - 1], item, opts));
+        children.push(item.doc);
+      });
+      const first = items[0];
+      const last = items[items.length - 1];
+
+      // Children written over several lines stay that way
+      const hasSourceBreak = items.some((item) => item.leadingWhitespace.includes("\n")) || last.trailingWhitespace.includes("\n");
+
+      parts.push(
+        indent([printSeparator(edge, first, first.leadingWhitespace, opts), ...children]),
+        printSeparator(last, edge, last.trailingWhitespace, opts)
+      );
+      parts.push(printClosingTag(path, opts, print));
+      return group(parts, { shouldBreak: getPreferBreakTags(opts).has(lowerName) || hasSourceBreak });
     }
   }
-  if (node.endTag) {
-    parts.push(path.call(print, "endTag"));
-  }
+  parts.push(printClosingTag(path, opts, print));
   return group(parts);
 }
 
@@ -597,60 +522,70 @@ function printDocument(path, opts, print) {
   const node = path.getValue();
   const { body } = node;
   if (!body || body.length === 0) return "";
+  let items = getChildItems(path, opts, print, "body");
+  if (items.length === 0) return "";
+  if (opts.wxmlSortImports) items = hoistImports(items);
   const parts = [];
-  let lastWasBlock = false; // blocks: element/script/comment
-  body.forEach((child, index) => {
-    // Drop whitespace-only top-level text nodes to avoid spurious blank lines
-    if ((child.type === 'WXText' || child.type === 'WXCharData') && typeof child.value === 'string' && child.value.trim() === '') {
-      return;
-    }
-    const printed = path.call(print, "body", index);
-    const isBlock = child.type === 'WXElement' || child.type === 'WXScript' || child.type === 'WXComment';
-    if (printed && printed !== "") {
-      if (parts.length > 0 && (isBlock || lastWasBlock)) {
-        parts.push(hardline);
-      }
-      parts.push(printed);
-    }
-    if (printed && printed !== "") {
-      lastWasBlock = isBlock;
-    }
+  items.forEach((item, index) => {
+    if (index > 0) parts.push(printSiblingSeparator(items[index - 1], item, opts));
+    parts.push(item.doc);
   });
-  if (parts.length > 0) {
-    parts.push(hardline);
-  }
+  parts.push(hardline);
   return group(parts);
 }
 
+// Multi-line bodies move with the comment: their lines are re-based on the comment's source column
+// and follow its new indentation. Inside <text> the comment stays exactly as written.
 function printComment(path, opts, print) {
   const node = path.getValue();
-  return `<!--${node.value}-->`;
+  const value = String(node.value);
+  if (!value.includes("\n")) return `<!--${value}-->`;
+  if (path.parent && path.parent.type === "WXElement" && getElementName(path.parent).toLowerCase() === "text") {
+    return replaceEndOfLine(`<!--${value}-->`);
+  }
+  const column = node.loc ? node.loc.start.column - 1 : 0;
+  const [first, ...rest] = getCommentLines(value, column);
+  return ["<!--", first, ...rest.map((line) => [hardline, line]), "-->"];
 }
 
+// Only these properties hold child nodes; attribute values and raw tokens are printed from strings
+const visitorKeys = {
+  Program: ["body"],
+  WXElement: ["startTag", "children", "endTag"],
+  WXScript: ["startTag", "endTag"],
+  WXStartTag: ["attributes"],
+};
+
 const printer = {
+  embed,
+  hasPrettierIgnore,
+  insertPragma: insertWxmlPragma,
+  getVisitorKeys(node) {
+    return visitorKeys[node.type] || [];
+  },
   preprocess(ast, options) {
-    if (ast.commentTokens && ast.commentTokens.length > 0) {
-      ast.ignoreRanges = buildIgnoreRanges(ast, ast.commentTokens);
+    // WXML docs are laid out against wxmlPrintWidth
+    if (typeof options.wxmlPrintWidth === 'number') {
+      options.printWidth = options.wxmlPrintWidth;
     }
+    ast.ignoreRanges = buildIgnoreRanges(ast, options);
     return ast;
   },
-  print(path, opts, print) {
+  print(path, opts, print, args) {
     const node = path.getValue();
     const ast = path.stack && path.stack[0];
-    if (ast && ast.ignoreRanges && node.location) {
-      const nodeStart = node.location.startOffset;
-      const nodeEnd = node.location.endOffset;
-      for (const range of ast.ignoreRanges) {
-        if (nodeStart >= range.start && nodeEnd <= range.end) {
-          return opts.originalText.slice(nodeStart, nodeEnd);
-        }
+    if (ast && ast.ignoreRanges && ast.ignoreRanges.length > 0 && verbatimNodeTypes.has(node.type)) {
+      const nodeStart = opts.locStart(node);
+      const nodeEnd = opts.locEnd(node);
+      if (isInIgnoreRange(ast.ignoreRanges, nodeStart, nodeEnd)) {
+        return replaceEndOfLine(opts.originalText.slice(nodeStart, nodeEnd));
       }
     }
     switch (node.type) {
       case "WXAttribute":
-        return printAttribute(path, opts, print);
+        return printAttribute(path, opts, print, args);
       case "WXCharData":
-        return printCharData(path, opts, print);
+        return printCharData(path, opts, print, args);
       case "Program":
         return printDocument(path, opts, print);
       case "WXElement":
@@ -664,7 +599,7 @@ const printer = {
       case "WXEndTag":
         return printEndTag(path, opts, print);
       case "WXText":
-        return printCharData(path, opts, print);
+        return printCharData(path, opts, print, args);
       case "WXInterpolation":
         if (!node.rawValue) {
           throw new Error(`WXInterpolation node missing rawValue. This is a bug in the parser or printer.`);
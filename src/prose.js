@@ -0,0 +1,64 @@
+import * as doc from "prettier/doc";
+
+const { hardline, line } = doc.builders;
+
+// Text laid out per wxmlProseWrap: words and separators for Prettier's `fill`. A {{ }} interpolation
+// is a word of its own (and glued to literal text touching it). Lines only break at whitespace of
+// the source: mini-program views render a line break in text as a space, so Chinese and Japanese
+// text, written without spaces, can't break between characters.
+
+// Han, kana, CJK symbols and punctuation, and fullwidth forms
+const cjkPattern = /[\u2e80-\u2fff\u3000-\u303f\u3040-\u30ff\u3100-\u312f\u3190-\u31ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+// Whitespace that collapses in rendering; U+3000 and no-break spaces are content
+const collapsibleWhitespace = /[ \t\n\r\f]/;
+
+const isCjk = (char) => char != null && cjkPattern.test(char);
+
+export function isProseWrapEnabled(opts) {
+  return opts.wxmlProseWrap === "always" || opts.wxmlProseWrap === "never";
+}
+
+// Separator standing for a run of source whitespace. A line break between two CJK characters
+// stays as written: joining the characters would drop the space it renders as.
+export function getProseSeparator(whitespace, before, after, opts) {
+  if (whitespace.includes("\n") && isCjk(before) && isCjk(after)) return hardline;
+  return opts.wxmlProseWrap === "never" ? " " : line;
+}
+
+// `[word, separator, word, ...]` for segments from getFlatSegments (trimmed literal text and
+// single-line interpolations)
+export function getProseParts(segments, opts) {
+  const parts = [];
+  let word = "";
+  let previousChar = null; // last literal character of the current word, null after an interpolation
+  let whitespace = "";
+  const startWord = (separator) => {
+    if (word !== "") parts.push(word, separator);
+    word = "";
+  };
+
+  for (const segment of segments) {
+    if (segment.type !== "text") {
+      if (whitespace !== "") startWord(getProseSeparator(whitespace, previousChar, null, opts));
+      whitespace = "";
+      word += segment.value;
+      previousChar = null;
+      continue;
+    }
+    for (const char of segment.value) {
+      if (collapsibleWhitespace.test(char)) {
+        whitespace += char;
+        continue;
+      }
+      if (whitespace !== "") {
+        startWord(getProseSeparator(whitespace, previousChar, char, opts));
+        whitespace = "";
+      }
+      word += char;
+      previousChar = char;
+    }
+  }
+  if (word !== "") parts.push(word);
+  return parts;
+}
@@ -0,0 +1,81 @@
+// Inline `style` values as CSS declaration lists. {{ }} interpolations are masked with
+// private-use placeholders while scanning, so their contents never split a declaration.
+const placeholderPattern = /\uE000(\d+)\uE001/g;
+const propertyPattern = /^(?:--|-?[a-zA-Z])[\w-]*$/;
+
+function maskSegments(segments) {
+  const values = [];
+  const masked = segments
+    .map((segment) => {
+      if (segment.type === "text") return segment.value;
+      values.push(segment.value);
+      return `\uE000${values.length - 1}\uE001`;
+    })
+    .join("");
+  return { masked, unmask: (text) => text.replace(placeholderPattern, (_, index) => values[Number(index)]) };
+}
+
+// Split on `separator` outside quotes and parentheses
+function splitTopLevel(text, separator, limit = Infinity) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length && parts.length < limit - 1; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")") {
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return quote || depth > 0 ? null : parts;
+}
+
+// Collapse whitespace runs outside quoted strings
+function collapseWhitespace(value) {
+  let result = "";
+  let quote = null;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      result += char;
+      if (char === "\\" && i + 1 < value.length) result += value[++i];
+      else if (char === quote) quote = null;
+    } else if (/\s/.test(char)) {
+      if (!result.endsWith(" ")) result += " ";
+    } else {
+      if (char === '"' || char === "'") quote = char;
+      result += char;
+    }
+  }
+  return result;
+}
+
+// Declarations `{ property, value }` of a style value given as literal text and printed {{ }}
+// segments; null when some part doesn't read as a declaration (e.g. `style="{{ styles }}"`).
+export function parseStyleDeclarations(segments) {
+  const { masked, unmask } = maskSegments(segments);
+  const parts = splitTopLevel(masked, ";");
+  if (!parts) return null;
+  const declarations = [];
+  for (const part of parts) {
+    if (part.trim() === "") continue;
+    const pair = splitTopLevel(part, ":", 2);
+    if (!pair || pair.length !== 2) return null;
+    const property = pair[0].trim();
+    const value = collapseWhitespace(pair[1].trim());
+    if (!propertyPattern.test(property) || value === "") return null;
+    declarations.push({ property: unmask(property), value: unmask(value) });
+  }
+  return declarations;
+}
@@ -0,0 +1,256 @@
+import * as doc from "prettier/doc";
+import { parse } from "@babel/parser";
+import generate from "@babel/generator";
+import { createSyntaxError } from "./errors.js";
+import { hasWxsPragma, insertWxsPragma } from "./pragma.js";
+
+const { hardline, join, literalline } = doc.builders;
+
+// Shared WXS JavaScript pipeline: used by inline <wxs> blocks in WXML and by standalone .wxs files,
+// so both forms honor the same wxs* options.
+
+const jsonOptionCache = new Map();
+
+// JSON options arrive as strings from the CLI and rc files; each distinct string is parsed once per run
+function parseJsonOption(val) {
+  if (!val) return undefined;
+  if (typeof val === 'object') return val;
+  if (typeof val === 'string') {
+    if (!jsonOptionCache.has(val)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(val);
+      } catch {
+        parsed = undefined;
+      }
+      jsonOptionCache.set(val, parsed);
+    }
+    return jsonOptionCache.get(val);
+  }
+  return undefined;
+}
+
+// Merge default Babel parser options with user-provided ones from Prettier rc
+function getBabelParserOptions(opts) {
+  const userRaw = (opts && opts.wxsBabelParserOptions) ? opts.wxsBabelParserOptions : undefined;
+  const user = parseJsonOption(userRaw) || {};
+  return {
+    sourceType: 'script',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowSuperOutsideMethod: true,
+    plugins: [
+      // 常见现代语法，尽量容忍更多写法
+      'jsx',
+      'classProperties',
+      'optionalChaining',
+      'nullishCoalescingOperator',
+      'dynamicImport',
+      'numericSeparator',
+      'topLevelAwait',
+      'logicalAssignment',
+      'objectRestSpread'
+    ],
+    // allow users to specify additional parser plugins, etc.
+    ...user
+  };
+}
+
+// Merge default Babel generator options with user-provided ones from Prettier rc
+function getBabelGeneratorOptions(opts, useSingleQuote) {
+  const userRaw = (opts && opts.wxsBabelGeneratorOptions) ? opts.wxsBabelGeneratorOptions : undefined;
+  const user = parseJsonOption(userRaw) || {};
+  return {
+    comments: true,
+    compact: false,
+    retainLines: false,
+    quotes: useSingleQuote ? 'single' : 'double',
+    jsescOption: { quotes: useSingleQuote ? 'single' : 'double' },
+    semicolons: opts.wxsSemi !== false,
+    
+    // ===== 关于 wxsPrintWidth 的说明 =====
+    //
+    // @babel/generator 是一个 AST-to-code 转换器，没有"列宽感知"逻辑，
+    // 因此 Babel 生成路径（wxsFormatter: "babel"）不支持 wxsPrintWidth。
+    // 默认的 Prettier 路径（wxsFormatter: "prettier"）通过 embed 交给 Prettier
+    // 自身的 JavaScript 打印器处理，内联 <wxs> 与独立 .wxs 文件都按 wxsPrintWidth 换行。
+    // Babel 路径仅作为显式的回退模式保留。
+    // =====================================
+    
+    ...user
+  };
+}
+
+// Indentation of WXS code: wxsTabWidth, falling back to the global tabWidth
+export function getWxsIndentSize(opts) {
+  return typeof opts.wxsTabWidth === 'number' ? opts.wxsTabWidth : (opts.tabWidth || 2);
+}
+
+// Print width of WXS code: wxsPrintWidth, falling back to the global printWidth
+function getWxsPrintWidth(opts) {
+  return typeof opts.wxsPrintWidth === 'number' ? opts.wxsPrintWidth : (opts.printWidth || 80);
+}
+
+// Options handed to Prettier's own JavaScript printer for WXS code
+function getWxsPrettierOptions(opts, printWidth) {
+  const indentSize = getWxsIndentSize(opts);
+  return {
+    parser: 'babel',
+    semi: opts.wxsSemi !== false,
+    singleQuote: opts.wxsSingleQuote !== false, // default true
+    tabWidth: indentSize,
+    useTabs: false,
+    // WXS runs on an ES5 engine: never emit trailing commas in calls or parameters
+    trailingComma: 'none',
+    printWidth,
+  };
+}
+
+// Use Prettier to format WXS code, inline or a standalone module (via the printers' async embed hooks)
+export async function formatWxsByPrettier(jsCode, textToDoc, opts) {
+  const wxsOptions = getWxsPrettierOptions(opts, getWxsPrintWidth(opts));
+  const jsDoc = await textToDoc(jsCode, wxsOptions);
+  const { formatted } = doc.printer.printDocToString(jsDoc, { ...wxsOptions, endOfLine: 'lf' });
+  return formatted.trimEnd();
+}
+
+// Fallback: Use Babel generator to produce stable output close to Prettier
+function formatWxsByBabelCompat(jsCode, opts) {
+  const ast = parse(jsCode, getBabelParserOptions(opts));
+  const useSingle = opts.wxsSingleQuote !== false; // default true
+  const gen = (generate && (generate.default || generate));
+  if (typeof gen !== 'function') {
+    throw new TypeError('generate is not a function');
+  }
+  const { code } = gen(
+    ast,
+    getBabelGeneratorOptions(opts, useSingle),
+    jsCode
+  );
+  let pretty = code.replace(/\bfunction\(/g, 'function (');
+  return pretty.trimEnd();
+}
+
+// A positioned SyntaxError for a Babel failure; the WXS code starts at `offset` in `text`
+function createWxsError(cause, text, offset) {
+  const index = offset + (cause && typeof cause.pos === 'number' ? cause.pos : 0);
+  const reason = String((cause && cause.message) || cause).replace(/\s*\(\d+:\d+\)$/, '');
+  return createSyntaxError(`Failed to parse/format <wxs> JavaScript: ${reason}`, text, index, index, cause);
+}
+
+
+function enforceWxsStringQuotes(code, useSingleQuote) {
+  if (typeof code !== 'string') return code;
+  if (useSingleQuote) {
+    // Convert simple double-quoted strings (no quotes or backslashes inside) to single-quoted
+    return code.replace(/\"([^\"'\\\n\r]*)\"/g, "'$1'");
+  } else {
+    // Convert simple single-quoted strings (no quotes or backslashes inside) to double-quoted
+    return code.replace(/'([^\"'\\\n\r]*)'/g, '"$1"');
+  }
+}
+
+// Babel fallback path: format and enforce quote style. Code that can't be formatted throws a
+// positioned SyntaxError; `text` is the whole file and `offset` where the code starts in it.
+export function formatWxsByBabelFallback(jsCode, opts, text = jsCode, offset = 0) {
+  let formatted;
+  try {
+    formatted = formatWxsByBabelCompat(jsCode, opts);
+  } catch (e) {
+    throw createWxsError(e, text, offset);
+  }
+  // Enforce preferred string quote style for simple literals only when formatted
+  const useSingle = opts.wxsSingleQuote !== false;
+  return enforceWxsStringQuotes(formatted, useSingle);
+}
+
+// Offsets of the line breaks inside string and template literals of `code`. A string only spans
+// lines through a backslash-newline and a template literal needs a backtick: code with neither
+// is not tokenized again.
+function getLiteralLineBreaks(code, opts) {
+  const breaks = new Set();
+  if (!code.includes('`') && !code.includes('\\\n')) return breaks;
+  let tokens;
+  try {
+    ({ tokens } = parse(code, { ...getBabelParserOptions(opts), tokens: true }));
+  } catch {
+    return breaks;
+  }
+  for (const token of tokens) {
+    const label = token.type && token.type.label;
+    if (label !== 'string' && label !== 'template') continue;
+    for (let i = code.indexOf('\n', token.start); i !== -1 && i < token.end; i = code.indexOf('\n', i + 1)) {
+      breaks.add(i);
+    }
+  }
+  return breaks;
+}
+
+// Doc for formatted WXS code: lines follow the indentation around the <wxs> tag, except the
+// ones continuing a string or template literal, which must stay as written
+export function printWxsCodeLines(code, opts) {
+  const breaks = getLiteralLineBreaks(code, opts);
+  const parts = [];
+  let start = 0;
+  for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) {
+    parts.push(code.slice(start, i), breaks.has(i) ? literalline : hardline);
+    start = i + 1;
+  }
+  parts.push(code.slice(start));
+  return parts;
+}
+
+// Apply wxsOnError to a failure of formatWxsByBabelFallback: rethrow it ("throw"), or leave the
+// code as written, with a process warning for "warn". Other errors always propagate.
+export function recoverFromWxsError(error, opts) {
+  const mode = opts.wxsOnError;
+  if (!(error instanceof SyntaxError) || (mode !== 'preserve' && mode !== 'warn')) {
+    throw error;
+  }
+  if (mode === 'warn') {
+    process.emitWarning(opts.filepath ? `${opts.filepath}: ${error.message}` : error.message, 'WxsSyntaxWarning');
+  }
+}
+
+// Standalone .wxs files: the whole file is a single WXS module
+export const wxsParser = {
+  parse(text) {
+    return { type: "WXSModule", value: text, start: 0, end: text.length };
+  },
+  astFormat: "wxs",
+  hasPragma: hasWxsPragma,
+  locStart(node) {
+    return node.start || 0;
+  },
+  locEnd(node) {
+    return node.end || 0;
+  }
+};
+
+function printWxsModule(formatted) {
+  return [join(hardline, formatted.split("\n")), hardline];
+}
+
+export const wxsPrinter = {
+  insertPragma: insertWxsPragma,
+  embed(path, opts) {
+    const node = path.getValue();
+    if (node.type !== "WXSModule" || opts.wxsFormatter === 'babel') {
+      return undefined;
+    }
+    // Parse errors are swallowed by Prettier here; print then retries with the Babel fallback
+    return async (textToDoc) => printWxsModule(await formatWxsByPrettier(node.value, textToDoc, opts));
+  },
+  print(path, opts) {
+    const node = path.getValue();
+    if (node.type !== "WXSModule") {
+      throw new Error(`Unknown node type: ${node.type}. This is a bug in the printer.`);
+    }
+    try {
+      return printWxsModule(formatWxsByBabelFallback(node.value, opts));
+    } catch (error) {
+      recoverFromWxsError(error, opts);
+      return node.value;
+    }
+  }
+};
@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { formatWithCursor } from "prettier";
+import * as plugin from "../src/index.js";
+
+// Formats `source` with the cursor placed before `marker` and returns the output with a `|` at the new cursor
+async function formatAtMarker(source, marker, options = {}) {
+  const cursorOffset = source.indexOf(marker);
+  const { formatted, cursorOffset: offset } = await formatWithCursor(source, {
+    ...options,
+    parser: "wxml",
+    plugins: [plugin],
+    cursorOffset,
+  });
+  return `${formatted.slice(0, offset)}|${formatted.slice(offset)}`;
+}
+
+describe("Cursor offset", () => {
+  it("should follow the cursor inside a text interpolation", async () => {
+    const result = await formatAtMarker(`<view><view class="a"   id="b">hello {{ user.name+1 }}</view></view>`, "name");
+    expect(result).toBe(`<view>\n  <view class="a" id="b">hello {{ user.|name + 1 }}</view>\n</view>\n`);
+  });
+
+  it("should follow the cursor inside an attribute value", async () => {
+    const result = await formatAtMarker(`<view><view   class="{{cls}} item"   id="b">x</view></view>`, "item");
+    expect(result).toBe(`<view>\n  <view class="{{ cls }} |item" id="b">x</view>\n</view>\n`);
+  });
+
+  it("should follow the cursor inside <wxs> code", async () => {
+    const result = await formatAtMarker(`<view>\n<wxs module="m">\nvar a=1;function f(x){return x+1}\n</wxs></view>`, "x+1");
+    expect(result).toContain(`    return |x + 1;\n`);
+  });
+
+  it("should follow the cursor between elements", async () => {
+    const result = await formatAtMarker(`<view><view>a</view>\n\n\n   <image src="a.png"/></view>`, "<image");
+    expect(result).toBe(`<view>\n  <view>a</view>\n\n  |<image src="a.png" />\n</view>\n`);
+  });
+});
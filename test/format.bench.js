@@ -0,0 +1,67 @@
+import { bench, describe } from "vitest";
+import { format } from "prettier";
+import * as plugin from "../src/index.js";
+import { readdirSync, statSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Run with `npm run bench`; `vitest run` doesn't pick up *.bench.js files
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BASE_DIR = path.resolve(__dirname, "wxml-dir");
+
+function listWxmlFiles(dir) {
+  const out = [];
+  for (const name of readdirSync(dir)) {
+    const fp = path.join(dir, name);
+    const st = statSync(fp);
+    if (st.isDirectory()) {
+      out.push(...listWxmlFiles(fp));
+    } else if (st.isFile() && name.endsWith(".wxml")) {
+      out.push(fp);
+    }
+  }
+  return out.sort((a, b) => a.localeCompare(b));
+}
+
+function formatWxml(content) {
+  return format(content, { parser: "wxml", plugins: [plugin] });
+}
+
+// A generated list page: `rows` items with a handful of bindings each, like the ones code
+// generators emit. Time should grow linearly with `rows`.
+function generateListPage(rows) {
+  const items = [];
+  for (let i = 0; i < rows; i++) {
+    items.push(
+      `  <view class="row row-${i} {{ active === ${i} ? 'on' : '' }}" data-id="{{ list[${i}].id }}" bindtap="onTap">`,
+      `    <text>{{ list[${i}].title }}</text><image src="{{ list[${i}].cover }}" />`,
+      `  </view>`
+    );
+  }
+  return `<wxs module="fmt">\nmodule.exports = { price: function (v) { return '¥' + v; } };\n</wxs>\n<view>\n${items.join("\n")}\n</view>\n`;
+}
+
+const files = listWxmlFiles(BASE_DIR).map((file) => readFileSync(file, "utf8"));
+const smallPage = generateListPage(250);
+const largePage = generateListPage(2000);
+
+describe("wxml-dir", () => {
+  bench(`format all ${files.length} files`, async () => {
+    for (const content of files) {
+      await formatWxml(content);
+    }
+  });
+});
+
+describe("generated list page", () => {
+  bench("250 rows", async () => {
+    await formatWxml(smallPage);
+  });
+
+  bench("2000 rows", async () => {
+    await formatWxml(largePage);
+  });
+});
@@ -49,8 +49,9 @@ describe("Format", () => {
     const result = await formatWxml(
       `<view class="container"><text>{{ message }}</text><image src="/path/to/image.png"/></view>`,
     );
+    // <text> and <image> render inline: no whitespace may be added between them
     expect(result).toBe(
-      `<view class="container">\n  <text>{{ message }}</text>\n  <image src="/path/to/image.png" />\n</view>\n`,
+      `<view class="container">\n  <text>{{ message }}</text><image src="/path/to/image.png" />\n</view>\n`,
     );
   });
 
@@ -127,7 +128,7 @@ describe("Format", () => {
     const input = `<view wx:if="{====================================}" wx:for="{{------------}}" ></view>`;
     const result = await formatWxml(input);
     expect(result).toBe(
-      `<view\n  wx:if="===================================="\n  wx:for="{{------------}}"\n></view>\n`
+      `<view\n  wx:if="{====================================}"\n  wx:for="{{------------}}"\n></view>\n`
     );
   });
 
@@ -137,32 +138,60 @@ describe("Format", () => {
     expect(result).toBe(`<view id="x" data-a="----------------" class="c"></view>\n`);
   });
 
-  it("should break many attributes for self-closing tags", async () => {
+  it("should keep lone braces in attribute values", async () => {
+    const json = `<view data-json='{"a":1}'>x</view>\n`;
+    expect(await formatWxml(json)).toBe(json);
+    expect(await formatWxml(`<view class="a{b" data-x="}{{a}}{"></view>`)).toBe(`<view class="a{b" data-x="}{{ a }}{"></view>\n`);
+  });
+
+  it("should break attributes of self-closing tags only past the print width", async () => {
     const input = `<image a='1' b='2' c='3' d='4'/>`;
+    expect(await formatWxml(input)).toBe(`<image a="1" b="2" c="3" d="4" />\n`);
+    expect(await formatWxml(input, { wxmlPrintWidth: 20 })).toBe(
+      `<image\n  a="1"\n  b="2"\n  c="3"\n  d="4"\n/>\n`
+    );
+  });
+
+  it("should account for the nesting depth when breaking attributes", async () => {
+    const input = `<view><view><view><view><view class="abcdefghij" data-id="0123456789" bindtap="onTapItem"></view></view></view></view></view>`;
     const result = await formatWxml(input);
     expect(result).toBe(
-      `<image\n  a="1"\n  b="2"\n  c="3"\n  d="4"\n />\n`
+      `<view>\n  <view>\n    <view>\n      <view>\n        <view\n          class="abcdefghij"\n          data-id="0123456789"\n          bindtap="onTapItem"\n        ></view>\n      </view>\n    </view>\n  </view>\n</view>\n`
     );
   });
 
-  it("should preserve template expressions with object literals", async () => {
+  it("should keep the closing bracket on the last attribute line with bracketSameLine", async () => {
+    const input = `<view class="abcdefghij" data-id="0123456789" bindtap="onTapItem">x</view><image src="a.png" mode="aspectFill" lazy-load bindload="onImageLoaded"/>`;
+    const result = await formatWxml(input, { bracketSameLine: true, wxmlPrintWidth: 40 });
+    expect(result).toBe(
+      `<view\n  class="abcdefghij"\n  data-id="0123456789"\n  bindtap="onTapItem">\n  x\n</view>\n<image\n  src="a.png"\n  mode="aspectFill"\n  lazy-load\n  bindload="onImageLoaded" />\n`
+    );
+  });
+
+  it("should put each attribute on its own line with singleAttributePerLine", async () => {
+    const input = `<view class="a" id="b">x</view><view class="c">y</view>`;
+    const result = await formatWxml(input, { singleAttributePerLine: true });
+    expect(result).toBe(`<view\n  class="a"\n  id="b"\n>\n  x\n</view>\n<view class="c">y</view>\n`);
+  });
+
+  it("should print object literals inside template expressions", async () => {
     const input = `<view>{{fn.formatNum(0, {unit: '¥'})}}</view>`;
     const result = await formatWxml(input);
-    expect(result).toBe(`<view>{{fn.formatNum(0, {unit: '¥'})}}</view>\n`);
+    expect(result).toBe(`<view>{{ fn.formatNum(0, { unit: '¥' }) }}</view>\n`);
   });
 
-  it("should preserve complex template expressions with nested objects", async () => {
+  it("should break complex template expressions with nested objects past the print width", async () => {
     const input = `<view class="product__label-content">{{fn.formatNum(0, {unit: '¥', range: [item.minSkuOriginalPrice, item.maxSkuOriginalPrice]})}}</view>`;
     const result = await formatWxml(input);
     expect(result).toBe(
-      `<view class="product__label-content">\n  {{fn.formatNum(0, {unit: '¥', range: [item.minSkuOriginalPrice, item.maxSkuOriginalPrice]})}}\n</view>\n`
+      `<view class="product__label-content">\n  {{\n    fn.formatNum(0, {\n      unit: '¥',\n      range: [item.minSkuOriginalPrice, item.maxSkuOriginalPrice]\n    })\n  }}\n</view>\n`
     );
   });
 
   it("should handle multiple template expressions with object literals", async () => {
     const input = `<view>{{fn({key: 'value'})}} {{item}} {{obj.prop}} {{func(arg)}}</view>`;
     const result = await formatWxml(input);
-    expect(result).toBe(`<view>\n  {{fn({key: 'value'})}} {{item}} {{obj.prop}} {{func(arg)}}\n</view>\n`);
+    expect(result).toBe(`<view>\n  {{ fn({ key: 'value' }) }} {{ item }} {{ obj.prop }} {{ func(arg) }}\n</view>\n`);
   });
 
   // New tests for whitespace handling to prevent silent data cleanup
@@ -178,40 +207,263 @@ describe("Format", () => {
     expect(result).toBe(`<view></view>\n`);
   });
 
-  it("should preserve outer spaces and normalize expression inside interpolation", async () => {
+  it("should normalize spacing inside interpolation", async () => {
     const input = `<view>{{  a&&b  }}</view>`;
     const result = await formatWxml(input);
-    // keep outer spaces inside braces, but normalize expression 'a && b'
-    expect(result).toBe(`<view>{{  a && b  }}</view>\n`);
+    expect(result).toBe(`<view>{{ a && b }}</view>\n`);
   });
 
   it("should preserve spaces around a single interpolation inside element", async () => {
     const input = `<view> {{x}} </view>`;
     const result = await formatWxml(input);
-    expect(result).toBe(`<view> {{x}} </view>\n`);
+    expect(result).toBe(`<view> {{ x }} </view>\n`);
   });
 
   it("should break to multiline when newline exists and drop whitespace-only children", async () => {
     const input = `<view>\n  {{x}}\n</view>`;
     const result = await formatWxml(input);
-    expect(result).toBe(`<view>\n  {{x}}\n</view>\n`);
+    expect(result).toBe(`<view>\n  {{ x }}\n</view>\n`);
   });
 
   it("should preserve spaces around interpolation with surrounding text", async () => {
     const input = `<view> a{{x}}b </view>`;
     const result = await formatWxml(input);
-    expect(result).toBe(`<view> a{{x}}b </view>\n`);
+    expect(result).toBe(`<view> a{{ x }}b </view>\n`);
   });
 
   it("should inline short text-interpolation-text trio and preserve spaces", async () => {
     const input = `<view>a {{x}} b</view>`;
     const result = await formatWxml(input);
-    expect(result).toBe(`<view>a {{x}} b</view>\n`);
+    expect(result).toBe(`<view>a {{ x }} b</view>\n`);
   });
 
   it("should format inner tags under <text> while preserving surrounding text verbatim", async () => {
     const input = `<text>  A \n  <abbr class="x">{{ y||z && w }}</abbr>   B</text>`;
     const result = await formatWxml(input);
-    expect(result).toBe(`<text>  A \n  <abbr class="x">{{ y || z && w }}</abbr>   B</text>\n`);
+    expect(result).toBe(`<text>  A \n  <abbr class="x">{{ y || (z && w) }}</abbr>   B</text>\n`);
+  });
+
+  it("should break long ternaries inside interpolations", async () => {
+    const input = `<view>{{cond ? veryLongConsequentExpressionName.someProperty : alternateExpressionValue.other}}</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<view>\n  {{\n    cond\n      ? veryLongConsequentExpressionName.someProperty\n      : alternateExpressionValue.other\n  }}\n</view>\n`
+    );
+  });
+
+  it("should format expressions in attribute values with quotes that don't clash", async () => {
+    const input = `<view class='item {{active?"on":""}}' style="width:{{w*2}}px"></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view class="item {{ active ? 'on' : '' }}" style="width: {{ w * 2 }}px"></view>\n`);
+  });
+
+  it("should print style values as CSS declarations", async () => {
+    const input = `<view style="color:red;font-size : 28rpx;  width:{{w}}rpx;"></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view style="color: red; font-size: 28rpx; width: {{ w }}rpx"></view>\n`);
+  });
+
+  it("should put style declarations on their own lines when they don't fit", async () => {
+    const input = `<view style="position:absolute;top:{{top}}rpx;background:url('a;b.png') no-repeat;--theme-color:{{theme}}"></view>`;
+    const result = await formatWxml(input, { wxmlPrintWidth: 60 });
+    expect(result).toBe(
+      `<view\n  style="\n    position: absolute;\n    top: {{ top }}rpx;\n    background: url('a;b.png') no-repeat;\n    --theme-color: {{ theme }};\n  "\n></view>\n`
+    );
+  });
+
+  it("should leave style values that aren't declaration lists unchanged", async () => {
+    const input = `<view style="{{styles}}"></view>\n<view style="color:red;{{extra}}"></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view style="{{ styles }}"></view>\n<view style="color:red;{{ extra }}"></view>\n`);
+  });
+
+  it("should indent nested <wxs> content relative to its tag", async () => {
+    const input = `<view><view><wxs module="m">var a=1;function f(){return a}</wxs></view></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<view>\n  <view>\n    <wxs module="m">\n      var a = 1;\n      function f() {\n        return a;\n      }\n    </wxs>\n  </view>\n</view>\n`
+    );
+  });
+
+  it("should align <wxs> content with its tag when wxmlIndentScriptContent is false", async () => {
+    const input = `<view><wxs module="m">var a=1;function f(){return a}</wxs></view>`;
+    const result = await formatWxml(input, { wxmlIndentScriptContent: false });
+    expect(result).toBe(
+      `<view>\n  <wxs module="m">\n  var a = 1;\n  function f() {\n    return a;\n  }\n  </wxs>\n</view>\n`
+    );
+  });
+
+  it("should print bare object data as an object literal body", async () => {
+    const input = `<template is="item" data="{{...item,index:index}}"/>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<template is="item" data="{{ ...item, index: index }}" />\n`);
+  });
+
+  it("should print shorthand template data as object properties, one per line when too long", async () => {
+    const input = `<template is="card" data="{{streamList, pusherConfig, soundMode, onPusherStateChange, onPlayerStateChange}}"/>\n<template is="card" data="{{ item }}"/>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<template\n  is="card"\n  data="{{\n    streamList,\n    pusherConfig,\n    soundMode,\n    onPusherStateChange,\n    onPlayerStateChange\n  }}"\n/>\n<template is="card" data="{{ item }}" />\n`
+    );
+  });
+
+  it("should separate template definitions with blank lines", async () => {
+    const input = `<template name="a"><view>a</view></template>\n<!-- b -->\n<template name="b"><view>b</view></template>\n<template is="a"/>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<template name="a">\n  <view>a</view>\n</template>\n\n<!-- b -->\n<template name="b">\n  <view>b</view>\n</template>\n\n<template is="a" />\n`
+    );
+  });
+
+  it("should not add parentheses around top-level sequence expressions", async () => {
+    const input = `<view data-x="{{ a,b }}" data-y="{{ (a, b) }}">{{ x ? (a, b) : c }}</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view data-x="{{ a, b }}" data-y="{{ (a, b) }}">{{ x ? (a, b) : c }}</view>\n`);
+  });
+
+  it("should collapse multi-line interpolations", async () => {
+    const input = `<view>{{\n  title\n}}</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view>{{ title }}</view>\n`);
+  });
+
+  it("should keep interpolations that fail to parse unchanged", async () => {
+    const input = `<view title="{{ a + }}">{{ b ? }}</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view title="{{ a + }}">{{ b ? }}</view>\n`);
+  });
+
+  it("should keep one blank line between siblings and trim it at element edges", async () => {
+    const input = `<!-- header -->\n<view class="header">\n\n\n  <text>Title</text>\n\n  <text>Sub</text>\n\n</view>\n\n\n\n<view class="list"></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<!-- header -->\n<view class="header">\n  <text>Title</text>\n\n  <text>Sub</text>\n</view>\n\n<view class="list"></view>\n`
+    );
+  });
+
+  it("should keep the node after <!-- prettier-ignore --> as written", async () => {
+    const input = `<view>\n  <!-- prettier-ignore -->\n  <view   class="a"   >\n      keep   this\n  </view>\n  <view   class="b"   >{{y}}</view>\n</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<view>\n  <!-- prettier-ignore -->\n  <view   class="a"   >\n      keep   this\n  </view>\n  <view class="b">{{ y }}</view>\n</view>\n`
+    );
+  });
+
+  it("should keep attributes named by <!-- prettier-ignore-attribute --> as written", async () => {
+    const input = `<!-- prettier-ignore-attribute style -->\n<view style="color:red;\n             width:10px" class='z'>t</view>\n<!-- prettier-ignore-attribute -->\n<view style="a:b"   class='z'>t</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<!-- prettier-ignore-attribute style -->\n<view\n  style="color:red;\n             width:10px"\n  class="z"\n>\n  t\n</view>\n<!-- prettier-ignore-attribute -->\n<view style="a:b" class='z'>t</view>\n`
+    );
+  });
+
+  it("should report node locations against the original source", async () => {
+    const source = `<wxs module="m">\nvar a = "x";\n</wxs>\n<view class="{{a}} b">hi {{name}}</view>`;
+    const ast = plugin.parsers.wxml.parse(source, {});
+    const view = ast.body.find((node) => node.type === "WXElement");
+    const slice = (node) => source.slice(plugin.parsers.wxml.locStart(node), plugin.parsers.wxml.locEnd(node));
+    expect(slice(view)).toBe(`<view class="{{a}} b">hi {{name}}</view>`);
+    expect(slice(view.startTag.attributes[0])).toBe(`class="{{a}} b"`);
+    expect(view.loc).toEqual({ start: { line: 4, column: 1 }, end: { line: 4, column: 40 } });
+  });
+
+  it("should keep ignored nodes and attributes after interpolations as written", async () => {
+    const input = `<view class="{{a}}">{{b}}</view>\n<!-- prettier-ignore -->\n<view   class="a"   >\n      keep   {{x}}\n  </view>\n<!-- prettier-ignore-attribute -->\n<view style="a:b"   class='{{z}}'>t</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<view class="{{ a }}">{{ b }}</view>\n<!-- prettier-ignore -->\n<view   class="a"   >\n      keep   {{x}}\n  </view>\n<!-- prettier-ignore-attribute -->\n<view style="a:b" class='{{z}}'>t</view>\n`
+    );
+  });
+
+  it("should keep nodes between prettier-ignore-start and prettier-ignore-end as written", async () => {
+    const input = `<wxs module="m">\nvar a = "x";\n</wxs>\n<view class="{{a}}">\n<!-- prettier-ignore-start -->\n<view   class="{{ a }}"   >{{b}}</view>\n  <text>x  </text>\n<!-- prettier-ignore-end -->\n<view   class="c">{{b}}</view>\n</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<wxs module="m">\n  var a = 'x';\n</wxs>\n<view class="{{ a }}">\n  <!-- prettier-ignore-start -->\n  <view   class="{{ a }}"   >{{b}}</view>\n  <text>x  </text>\n  <!-- prettier-ignore-end -->\n  <view class="c">{{ b }}</view>\n</view>\n`
+    );
+  });
+
+  it("should reindent multi-line comment bodies with the comment", async () => {
+    const input = `<view><view>\n        <!--\n          <view>old</view>\n            <text>nested</text>\n        -->\n        <text>a</text></view></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<view>\n  <view>\n    <!--\n      <view>old</view>\n        <text>nested</text>\n    -->\n    <text>a</text>\n  </view>\n</view>\n`
+    );
+  });
+
+  it("should keep comments next to the inline nodes they precede", async () => {
+    const input = `<view><text>a</text><!-- about b --><text>b</text></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view>\n  <text>a</text><!-- about b --><text>b</text>\n</view>\n`);
+  });
+
+  it("should recognize ignore markers whatever whitespace surrounds them", async () => {
+    const input = `<view>\n<!--prettier-ignore-->\n<view   a="1" >x</view>\n<!--\n  prettier-ignore-start\n-->\n<view   b="2" >y</view>\n<!-- prettier-ignore-end\t-->\n<view   c="3" >z</view>\n</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(
+      `<view>\n  <!--prettier-ignore-->\n  <view   a="1" >x</view>\n  <!--\n  prettier-ignore-start\n-->\n  <view   b="2" >y</view>\n  <!-- prettier-ignore-end\t-->\n  <view c="3">z</view>\n</view>\n`
+    );
+  });
+
+  it("should lay out each occurrence of a repeated expression for its own position", async () => {
+    const expression = "{{ ready ? formatPrice(item.price) : placeholder }}";
+    const input = `<view>${expression}</view>\n${"<view>".repeat(8)}${expression}${"</view>".repeat(8)}`;
+    const result = await formatWxml(input, { wxmlPrintWidth: 64 });
+    expect(result.startsWith(`<view>${expression}</view>\n`)).toBe(true);
+    expect(result).toContain(
+      `                {{\n                  ready ? formatPrice(item.price) : placeholder\n                }}\n`
+    );
+  });
+
+  it("should format the expressions of a file together as they would be alone", async () => {
+    const snippets = [
+      `<view>{{ /* total */ price * count }}</view>`,
+      `<template is="row" data="{{...item, index: i}}" />`,
+      `<view data-x="{{ a,b }}">{{ list.length > 0 ? list.map(function (x) { return x.name }).join(',') : emptyText }}</view>`,
+      `<view>{{ 'it\\'s' + name }}</view>`,
+    ];
+    const alone = await Promise.all(snippets.map((snippet) => formatWxml(snippet, { wxmlPrintWidth: 60 })));
+    const together = await formatWxml(snippets.join("\n"), { wxmlPrintWidth: 60 });
+    expect(together).toBe(alone.join(""));
+  });
+
+  it("should restore wxs-prefixed tag names written inside attribute values", async () => {
+    const input = `<view title="a <wxs-chart> b"></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view title="a <wxs-chart> b"></view>\n`);
+  });
+});
+
+describe("Syntax errors", () => {
+  const firstLine = (message) => message.split("\n")[0];
+
+  async function getError(source) {
+    return formatWxml(source).then(
+      () => null,
+      (error) => error
+    );
+  }
+
+  it("should report a mismatched closing tag at its position in the source", async () => {
+    const error = await getError(`<view>{{ someLongExpression }}</view>\n<view>\n  <text>{{ a }}</tex>\n</view>`);
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(firstLine(error.message)).toBe("Unexpected closing tag </tex>: expected </text> (3:16)");
+    expect(error.loc).toEqual({ start: { line: 3, column: 16 }, end: { line: 3, column: 22 } });
+    expect(error.message).toContain("> 3 |   <text>{{ a }}</tex>");
+  });
+
+  it("should report an unclosed element", async () => {
+    const error = await getError(`<view>\n  <view class="a">\n</view>`);
+    expect(firstLine(error.message)).toBe("Unclosed element <view> (1:1)");
+  });
+
+  it("should report an unterminated interpolation at its opening braces", async () => {
+    const error = await getError(`<view>{{ a }}</view>\n<view>\n  {{ b\n</view>`);
+    expect(firstLine(error.message)).toBe("Unterminated interpolation: missing closing '}}' (3:3)");
+  });
+
+  it("should report an unterminated attribute value", async () => {
+    const error = await getError(`<view a="1></view>`);
+    expect(firstLine(error.message)).toBe("Unterminated attribute value: missing closing quote (1:10)");
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect } from "vitest";
+import { format } from "prettier";
+import * as plugin from "../src/index.js";
+import { splitInterpolations } from "../src/expression.js";
+
+const parse = (text) => plugin.parsers.wxml.parse(text, {});
+
+async function formatWxml(content, options = {}) {
+  return format(content, {
+    ...options,
+    parser: "wxml",
+    plugins: [plugin],
+  });
+}
+
+// Expressions whose braces, quotes or comments used to end a {{ }} early
+const expressionCorpus = [
+  "a ? '}}' : b",
+  "'{' + x",
+  '"}" + y + "{{"',
+  "`${a}}` + b",
+  "`x ${ { a: 1 }.a } y`",
+  "a /* }} */ + b",
+  "{ a: { b: 1 } }",
+  "list.map(function (x) { return { v: x } })",
+  "'it\\'s }}' + name",
+  '"\\"}}\\""',
+  "a < b && c > d",
+  "'</view>' + tag",
+];
+
+// <wxs> bodies containing text that used to close the block early
+const scriptCorpus = [
+  'var s = "</wxs>";\nmodule.exports = { s: s };',
+  "// </wxs> in a comment\nvar a = 1;",
+  "/* </wxs>\n</wxs> */\nvar b = 2;",
+  "var t = '<wxs module=\"x\">';",
+  "var o = { a: '}}', b: \"{{\" };",
+];
+
+// Deterministic pseudo-random numbers so a failing case can be reproduced
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const fragments = [
+  "a",
+  "item.name",
+  "'}}'",
+  '"{"',
+  "'}'",
+  "`}}`",
+  "`${b}}`",
+  "/* }} */ c",
+  "{ k: 1 }",
+  "{ k: { j: '}}' } }",
+  "[1, '}}']",
+  "fn('{{', \"}}\")",
+  "'\\''",
+  "x < y",
+];
+const operators = [" + ", " ? ", " : ", " || ", " && ", ", "];
+
+function randomExpression(random) {
+  const count = 1 + Math.floor(random() * 4);
+  let expression = "";
+  for (let i = 0; i < count; i++) {
+    if (i > 0) expression += operators[Math.floor(random() * operators.length)];
+    const fragment = fragments[Math.floor(random() * fragments.length)];
+    expression += random() < 0.2 ? `(${fragment})` : fragment;
+  }
+  return expression;
+}
+
+function expectExpressionKept(expression) {
+  const ast = parse(`<view title="{{${expression}}}">{{${expression}}}</view>`);
+  const view = ast.body[0];
+  expect(view.startTag.attributes[0].value).toBe(`{{${expression}}}`);
+  expect(view.children[0].value).toBe(`{{${expression}}}`);
+  expect(splitInterpolations(`x{{${expression}}}y`)[1].value).toBe(expression);
+}
+
+describe("Lexer", () => {
+  it.each(expressionCorpus)("should keep the expression %j whole", (expression) => {
+    expectExpressionKept(expression);
+  });
+
+  it.each(scriptCorpus)("should keep the <wxs> body %j whole", (body) => {
+    const ast = parse(`<wxs module="m">\n${body}\n</wxs>\n<view>{{ x }}</view>`);
+    const [script, , view] = ast.body;
+    expect(script.type).toBe("WXScript");
+    expect(script.value).toBe(body);
+    expect(view.name).toBe("view");
+    expect(view.children[0].value).toBe("{{ x }}");
+  });
+
+  it("should keep generated expressions whole", () => {
+    const random = createRandom(20240601);
+    for (let i = 0; i < 300; i++) {
+      expectExpressionKept(randomExpression(random));
+    }
+  });
+
+  it("should not treat components named wxs-* as <wxs>", async () => {
+    const input = `<wxs-chart data="{{a}}"><wxs-item/></wxs-chart>`;
+    const ast = parse(input);
+    expect(ast.body[0].type).toBe("WXElement");
+    expect(ast.body[0].name).toBe("wxs-chart");
+    expect(await formatWxml(input)).toBe(`<wxs-chart data="{{ a }}"><wxs-item /></wxs-chart>\n`);
+  });
+
+  it("should format expressions containing closing braces in strings", async () => {
+    const input = `<view title="{{a?'}}':b}}">{{'{'+x}}</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view title="{{ a ? '}}' : b }}">{{ '{' + x }}</view>\n`);
+  });
+
+  it("should keep text that looks like a placeholder as written", async () => {
+    const input = `<view title="__TEMPLATE_EXPR_0__ {{a}}">__WXML0_TEMPLATE_EXPR_0__ {{b}}</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view title="__TEMPLATE_EXPR_0__ {{ a }}">\n  __WXML0_TEMPLATE_EXPR_0__ {{ b }}\n</view>\n`);
+  });
+});
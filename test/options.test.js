@@ -1,4 +1,4 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi } from "vitest";
 import prettier from "prettier";
 import * as plugin from "../src/index.js";
 
@@ -31,11 +31,18 @@ describe("Options", () => {
 
   it("should respect wxmlPrintWidth", async () => {
     const source = `<view class="a b c d e f g h i j k l m n o p q r s t u v w x y z"></view>`;
-    const expected = `<view\n  class="a b c d e f g h i j k l m n o p q r s t u v w x y z"\n></view>\n`;
+    const expected = `<view\n  class="\n    a b c d e f g h i j k l m n o p q r s t u v w x y z\n  "\n></view>\n`;
     const result = await formatWxml(source, { printWidth: 60, wxmlPrintWidth: 60 });
     expect(result).toBe(expected);
   });
 
+  it("should respect wxmlBracketSpacing=false", async () => {
+    const source = `<view wx:if="{{ show }}">{{  a+b  }}</view>`;
+    const expected = `<view wx:if="{{show}}">{{a + b}}</view>\n`;
+    const result = await formatWxml(source, { wxmlBracketSpacing: false });
+    expect(result).toBe(expected);
+  });
+
   describe("WXML Formatting Options", () => {
     it("should break children for tags listed in wxmlPreferBreakTags (e.g., button)", async () => {
       const source = `<view>\n  <button type="primary" size="mini" bindtap="_save"> 保存 </button>\n</view>`;
@@ -44,7 +51,157 @@ describe("Options", () => {
       expect(result).toBe(expected);
     });
 
+    it("should keep the source attribute order by default", async () => {
+      const source = `<view class="a" wx:if="{{ x }}" bindtap="t"></view>`;
+      const result = await formatWxml(source);
+      expect(result).toBe(`<view class="a" wx:if="{{ x }}" bindtap="t"></view>\n`);
+    });
+
+    it("should sort attributes with wxmlAttributeOrder=default", async () => {
+      const source = `<view bindtap="onTap" slot="footer" data-id="{{id}}" wx:key="id" class="item" hover-class="none" wx:for="{{list}}" catch:longpress="onLong" id="x" style="color:red" wx:if="{{show}}">x</view>`;
+      const expected = `<view\n  wx:if="{{ show }}"\n  wx:for="{{ list }}"\n  wx:key="id"\n  id="x"\n  class="item"\n  style="color: red"\n  data-id="{{ id }}"\n  hover-class="none"\n  bindtap="onTap"\n  catch:longpress="onLong"\n  slot="footer"\n>\n  x\n</view>\n`;
+      const result = await formatWxml(source, { wxmlAttributeOrder: "default" });
+      expect(result).toBe(expected);
+    });
+
+    it("should sort <wxs> start tags the same way", async () => {
+      const source = `<wxs src="./m.wxs" module="m"></wxs>`;
+      const result = await formatWxml(source, { wxmlAttributeOrder: "module,*" });
+      expect(result).toBe(`<wxs module="m" src="./m.wxs"></wxs>\n`);
+    });
+
+    it("should use the platform's directive prefix in the default order", async () => {
+      const source = `<view s-for="{{list}}" class="a" s-if="{{x}}"></view>`;
+      const result = await formatWxml(source, { wxmlAttributeOrder: "default", mpPlatform: "baidu" });
+      expect(result).toBe(`<view s-if="{{ x }}" s-for="{{ list }}" class="a"></view>\n`);
+    });
+
+    it("should keep self-closing and paired tags as written by default", async () => {
+      const source = `<view></view>\n<my-comp a="1"/>`;
+      expect(await formatWxml(source)).toBe(`<view></view>\n<my-comp a="1" />\n`);
+    });
+
+    it("should collapse empty elements with wxmlSelfClosing=always", async () => {
+      const source = `<view>\n</view>\n<text></text>\n<text> </text>\n<wxs src="./a.wxs" module="a"></wxs>\n<wxs module="m">\nvar a = 1;\n</wxs>`;
+      const result = await formatWxml(source, { wxmlSelfClosing: "always" });
+      expect(result).toBe(
+        `<view />\n<text />\n<text> </text>\n<wxs src="./a.wxs" module="a" />\n<wxs module="m">\n  var a = 1;\n</wxs>\n`
+      );
+    });
+
+    it("should expand self-closing tags with wxmlSelfClosing=never", async () => {
+      const source = `<view><my-comp a="1"/></view>\n<wxs src="./b.wxs" module="b"/>\n<wxs module="m">\nvar a = 1;\n</wxs>`;
+      const result = await formatWxml(source, { wxmlSelfClosing: "never" });
+      expect(result).toBe(
+        `<view>\n  <my-comp a="1"></my-comp>\n</view>\n<wxs src="./b.wxs" module="b"></wxs>\n<wxs module="m">\n  var a = 1;\n</wxs>\n`
+      );
+    });
+
+    it("should collapse whitespace in class values and keep {{ }} whole", async () => {
+      const source = `<view class="  a   b\n   c {{ active ? 'on' : 'off' }}  item-{{index}} "></view>`;
+      const result = await formatWxml(source);
+      expect(result).toBe(`<view class="a b c {{ active ? 'on' : 'off' }} item-{{ index }}"></view>\n`);
+    });
+
+    it("should sort and dedupe class names with wxmlSortClasses and wxmlDedupeClasses", async () => {
+      const source = `<view class="b {{cls}} a c a"></view>`;
+      expect(await formatWxml(source, { wxmlSortClasses: true })).toBe(`<view class="a a b c {{ cls }}"></view>\n`);
+      expect(await formatWxml(source, { wxmlDedupeClasses: true })).toBe(`<view class="b {{ cls }} a c"></view>\n`);
+    });
+
+    it("should wrap long class lists inside the quotes", async () => {
+      const source = `<view class="flex items-center justify-between px-4 py-2 bg-white rounded-lg shadow-md {{cls}}" bindtap="go"></view>`;
+      const result = await formatWxml(source, { wxmlPrintWidth: 60 });
+      expect(result).toBe(
+        `<view\n  class="\n    flex items-center justify-between px-4 py-2 bg-white\n    rounded-lg shadow-md {{ cls }}\n  "\n  bindtap="go"\n></view>\n`
+      );
+    });
+
+    it("should rewrite event bindings to the colon form with wxmlEventBindingStyle=colon", async () => {
+      const source = `<view bindtap="a" catchtouchstart="b" capture-catchtap="c" mut-bind:tap="d" data-bind="e"></view>`;
+      const result = await formatWxml(source, { wxmlEventBindingStyle: "colon" });
+      expect(result).toBe(
+        `<view\n  bind:tap="a"\n  catch:touchstart="b"\n  capture-catch:tap="c"\n  mut-bind:tap="d"\n  data-bind="e"\n></view>\n`
+      );
+    });
+
+    it("should keep the colon for hyphenated or camelCase events with wxmlEventBindingStyle=concat", async () => {
+      const source = `<my-comp bind:tap="a" capture-bind:touchstart="b" bind:my-event="c" bind:myEvent="d" />`;
+      const result = await formatWxml(source, { wxmlEventBindingStyle: "concat" });
+      expect(result).toBe(
+        `<my-comp\n  bindtap="a"\n  capture-bindtouchstart="b"\n  bind:my-event="c"\n  bind:myEvent="d"\n/>\n`
+      );
+    });
+
+    it("should leave event bindings alone on platforms without the colon form", async () => {
+      const source = `<view onTap="a" catchTap="b"></view>`;
+      const result = await formatWxml(source, { wxmlEventBindingStyle: "colon", mpPlatform: "alipay" });
+      expect(result).toBe(`<view onTap="a" catchTap="b"></view>\n`);
+    });
+
+    it("should accept a custom order of attribute patterns", async () => {
+      const source = `<view bindtap="t" id="i" class="c" data-a="1" catchtap="u"></view>`;
+      const result = await formatWxml(source, { wxmlAttributeOrder: "class, bind*|catch*, *" });
+      expect(result).toBe(`<view class="c" bindtap="t" catchtap="u" id="i" data-a="1"></view>\n`);
+    });
+
+    it("should keep <import> and <include> where they are by default", async () => {
+      const source = `<view>page</view>\n<import src='./b.wxml'/>`;
+      const result = await formatWxml(source);
+      expect(result).toBe(`<view>page</view>\n<import src="./b.wxml" />\n`);
+    });
+
+    it("should gather <import> at the top sorted by path with wxmlSortImports", async () => {
+      const source = `<!-- @format -->\n<view>page</view>\n<include src=" ./footer.wxml "/>\n<!-- item templates -->\n<import src='./templates//item.wxml'/>\n<import src="./a\\b.wxml"/>\n<view>end</view>`;
+      const result = await formatWxml(source, { wxmlSortImports: true });
+      expect(result).toBe(
+        `<!-- @format -->\n<import src="./a/b.wxml" />\n<!-- item templates -->\n<import src="./templates/item.wxml" />\n\n<view>page</view>\n<include src="./footer.wxml" />\n<view>end</view>\n`
+      );
+    });
+
+    it("should leave <include> where it renders with wxmlSortImports", async () => {
+      const source = `<include src="./header.wxml"/>\n<view>content</view>\n<include src=".//footer.wxml"/>\n<import src="./b.wxml"/>`;
+      const result = await formatWxml(source, { wxmlSortImports: true });
+      expect(result).toBe(
+        `<import src="./b.wxml" />\n\n<include src="./header.wxml" />\n<view>content</view>\n<include src="./footer.wxml" />\n`
+      );
+    });
+
+    it("should keep the source line breaks of text by default", async () => {
+      const source = `<view>\n  A hand\n  wrapped paragraph.\n</view>`;
+      const result = await formatWxml(source);
+      expect(result).toBe(`<view>\n  A hand\n  wrapped paragraph.\n</view>\n`);
+    });
+
+    it("should reflow text to the print width with wxmlProseWrap=always", async () => {
+      const source = `<view>\n  A hand\n  wrapped paragraph with {{ user.name }} in it that runs past the width.\n\n  Next paragraph.\n</view>`;
+      const result = await formatWxml(source, { wxmlProseWrap: "always", wxmlPrintWidth: 40 });
+      expect(result).toBe(
+        `<view>\n  A hand wrapped paragraph with\n  {{ user.name }} in it that runs past\n  the width.\n\n  Next paragraph.\n</view>\n`
+      );
+    });
+
+    it("should only break CJK text at whitespace of the source", async () => {
+      const source = `<view>这是一段没有空格的中文文本，需要在字符之间\n断开。「括号」 不会被拆开 and some English words here</view>`;
+      const result = await formatWxml(source, { wxmlProseWrap: "always", wxmlPrintWidth: 30 });
+      expect(result).toBe(
+        `<view>\n  这是一段没有空格的中文文本，需要在字符之间\n  断开。「括号」 不会被拆开\n  and some English words here\n</view>\n`
+      );
+    });
+
+    it("should join each paragraph into one line with wxmlProseWrap=never", async () => {
+      const source = `<view>\n  A hand\n  wrapped paragraph with {{ user.name }} that runs past the width.\n  中文\n  文本\n</view>`;
+      const result = await formatWxml(source, { wxmlProseWrap: "never", wxmlPrintWidth: 40 });
+      expect(result).toBe(
+        `<view>\n  A hand wrapped paragraph with {{ user.name }} that runs past the width. 中文\n  文本\n</view>\n`
+      );
+    });
 
+    it("should leave <text> content alone with wxmlProseWrap", async () => {
+      const source = `<view><text>keep   this\nas written</text></view>`;
+      const result = await formatWxml(source, { wxmlProseWrap: "always", wxmlPrintWidth: 10 });
+      expect(result).toBe(`<view>\n  <text>keep   this\nas written</text>\n</view>\n`);
+    });
   });
 
   describe("WXS Formatting Options", () => {
@@ -64,7 +221,7 @@ module.exports.message = msg;
     });
 
     it("should respect wxsSemi=false", async () => {
-      const expected = `<wxs module="m1">\n  var msg = 'hello world';\n  var foo = function (bar) {\n    return bar;\n  };\n  module.exports.message = msg;\n</wxs>\n`;
+      const expected = `<wxs module="m1">\n  var msg = 'hello world'\n  var foo = function (bar) {\n    return bar\n  }\n  module.exports.message = msg\n</wxs>\n`;
       const result = await formatWxml(wxsSource, { wxsSemi: false, printWidth: 80, wxsSingleQuote: true });
       expect(result).toBe(expected);
     });
@@ -79,16 +236,71 @@ module.exports.message = msg;
   describe("<wxs> JavaScript formatting (always on)", () => {
     it("should use parser for valid JS in <wxs>", async () => {
       const source = `<wxs module=\"m1\">\nvar a=1;function f(x){return x+1}\nmodule.exports={a:a, f:f}\n</wxs>`;
-      const expected = `<wxs module=\"m1\">\n  var a = 1;\n  function f(x) {\n    return x + 1;\n  }\n  module.exports = {\n    a: a,\n    f: f\n  };\n</wxs>\n`;
+      const expected = `<wxs module=\"m1\">\n  var a = 1;\n  function f(x) {\n    return x + 1;\n  }\n  module.exports = { a: a, f: f };\n</wxs>\n`;
       const result = await formatWxml(source, {});
       expect(result).toBe(expected);
     });
 
+    it("should respect wxsPrintWidth", async () => {
+      const source = `<wxs module="m1">\nmodule.exports={alpha:alpha, beta:beta, gamma:gamma}\n</wxs>`;
+      const expected = `<wxs module="m1">\n  module.exports = {\n    alpha: alpha,\n    beta: beta,\n    gamma: gamma\n  };\n</wxs>\n`;
+      const result = await formatWxml(source, { wxsPrintWidth: 40 });
+      expect(result).toBe(expected);
+    });
+
+    it("should keep the lines of multi-line strings as written", async () => {
+      const source = `<view>\n<wxs module="m">\nvar s = "x\\\n  y";\nvar t = \`a\n  b\`;\n</wxs>\n</view>`;
+      expect(await formatWxml(source, {})).toBe(
+        `<view>\n  <wxs module="m">\n    var s =\n      'x\\\n  y';\n    var t = \`a\n  b\`;\n  </wxs>\n</view>\n`
+      );
+      expect(await formatWxml(source, { wxsFormatter: "babel" })).toBe(
+        `<view>\n  <wxs module="m">\n    var s = "x\\\n  y";\n    var t = \`a\n  b\`;\n  </wxs>\n</view>\n`
+      );
+    });
+
+    it("should keep the Babel generator path with wxsFormatter=babel", async () => {
+      const source = `<wxs module=\"m1\">\nvar a=1;function f(x){return x+1}\nmodule.exports={a:a, f:f}\n</wxs>`;
+      const expected = `<wxs module=\"m1\">\n  var a = 1;\n  function f(x) {\n    return x + 1;\n  }\n  module.exports = {\n    a: a,\n    f: f\n  };\n</wxs>\n`;
+      const result = await formatWxml(source, { wxsFormatter: "babel" });
+      expect(result).toBe(expected);
+    });
+
     it("should throw for invalid JS in <wxs>", async () => {
       // Intentionally invalid JS to force parser error
       const invalid = `<wxs module="m1">\nvar a = ;\nfunction (x) {\n  return x+1;\n}\n</wxs>`;
       await expect(formatWxml(invalid, {}))
         .rejects.toThrow(/Failed to parse\/format <wxs> JavaScript/);
     });
+
+    it("should report the position of the error in the file", async () => {
+      const invalid = `<view>\n  <wxs module="m1">\n    var a = ;\n  </wxs>\n</view>`;
+      const error = await formatWxml(invalid, {}).catch((e) => e);
+      expect(error).toBeInstanceOf(SyntaxError);
+      expect(error.loc.start).toEqual({ line: 3, column: 13 });
+      expect(error.message).toMatch(/\(3:13\)$/);
+    });
+
+    it("should keep unparseable code as written with wxsOnError=preserve", async () => {
+      const source = `<view>\n<wxs module="m1">\n  var a = ;\n    var   b=1\n</wxs>\n<view   class="x">ok</view>\n</view>`;
+      const result = await formatWxml(source, { wxsOnError: "preserve" });
+      expect(result).toBe(
+        `<view>\n  <wxs module="m1">\n  var a = ;\n    var   b=1\n</wxs>\n  <view class="x">ok</view>\n</view>\n`
+      );
+    });
+
+    it("should emit a warning with wxsOnError=warn", async () => {
+      const emitWarning = vi.spyOn(process, "emitWarning").mockImplementation(() => {});
+      try {
+        const source = `<wxs module="m1">\nvar a = ;\n</wxs>\n<view   class="x">ok</view>`;
+        const result = await formatWxml(source, { wxsOnError: "warn", filepath: "page.wxml" });
+        expect(result).toBe(`<wxs module="m1">\nvar a = ;\n</wxs>\n<view class="x">ok</view>\n`);
+        expect(emitWarning).toHaveBeenCalledWith(
+          "page.wxml: Failed to parse/format <wxs> JavaScript: Unexpected token (2:9)",
+          "WxsSyntaxWarning"
+        );
+      } finally {
+        emitWarning.mockRestore();
+      }
+    });
   });
 });
\ No newline at end of file
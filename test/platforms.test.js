@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { format } from "prettier";
+import * as plugin from "../src/index.js";
+
+async function formatTemplate(content, options = {}) {
+  return format(content, {
+    ...options,
+    plugins: [plugin],
+  });
+}
+
+describe("Mini-program platforms", () => {
+  it("should infer the dialect from the file extension", async () => {
+    const input = `<view a:if="{{show}}"><text>{{ title }}</text></view>`;
+    const result = await formatTemplate(input, { filepath: "pages/index/index.axml" });
+    expect(result).toBe(`<view a:if="{{ show }}">\n  <text>{{ title }}</text>\n</view>\n`);
+  });
+
+  it("should format ByteDance <sjs> modules as script", async () => {
+    const input = `<sjs module="m">var a=1;module.exports={a:a}</sjs>\n<view tt:if="{{m.a}}">x</view>`;
+    const result = await formatTemplate(input, { filepath: "index.ttml" });
+    expect(result).toBe(`<sjs module="m">\n  var a = 1;\n  module.exports = { a: a };\n</sjs>\n<view tt:if="{{ m.a }}">x</view>\n`);
+  });
+
+  it("should format QQ <qs> modules as script", async () => {
+    const input = `<qs module="m">var a="x"</qs>`;
+    const result = await formatTemplate(input, { parser: "qml" });
+    expect(result).toBe(`<qs module="m">\n  var a = 'x';\n</qs>\n`);
+  });
+
+  it("should format Baidu <filter> modules as script", async () => {
+    const input = `<filter module="f">export default {upper:function(s){return s.toUpperCase()}}</filter>\n<view s-if="show">{{f.upper(name)}}</view>`;
+    const result = await formatTemplate(input, { filepath: "index.swan" });
+    expect(result).toBe(
+      `<filter module="f">\n  export default {\n    upper: function (s) {\n      return s.toUpperCase();\n    }\n  };\n</filter>\n<view s-if="show">{{ f.upper(name) }}</view>\n`
+    );
+  });
+
+  it("should keep <sjs> as a regular element on WeChat", async () => {
+    const input = `<sjs module="m">var a=1</sjs>`;
+    const result = await formatTemplate(input, { parser: "wxml" });
+    expect(result).toBe(`<sjs module="m">var a=1</sjs>\n`);
+  });
+
+  it("should let mpPlatform override the inferred dialect", async () => {
+    const input = `<sjs module="m">var a=1</sjs>`;
+    const result = await formatTemplate(input, { parser: "wxml", mpPlatform: "bytedance" });
+    expect(result).toBe(`<sjs module="m">\n  var a = 1;\n</sjs>\n`);
+  });
+
+  it("should format JD templates", async () => {
+    const input = `<view jd:for="{{list}}" jd:key="id"><text>{{item.name}}</text></view>`;
+    const result = await formatTemplate(input, { filepath: "index.jxml" });
+    expect(result).toBe(`<view jd:for="{{ list }}" jd:key="id">\n  <text>{{ item.name }}</text>\n</view>\n`);
+  });
+});
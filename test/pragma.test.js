@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { format } from "prettier";
+import * as plugin from "../src/index.js";
+
+async function formatWith(content, options) {
+  return format(content, {
+    ...options,
+    plugins: [plugin],
+  });
+}
+
+describe("Pragmas", () => {
+  it("should only format WXML files marked with a pragma when requirePragma is set", async () => {
+    const unmarked = `<view><text>a</text></view>`;
+    expect(await formatWith(unmarked, { parser: "wxml", requirePragma: true })).toBe(unmarked);
+
+    const marked = `<!-- @format -->\n<view><text>a</text></view>`;
+    expect(await formatWith(marked, { parser: "wxml", requirePragma: true })).toBe(
+      `<!-- @format -->\n<view>\n  <text>a</text>\n</view>\n`
+    );
+    const prettierPragma = `<!--@prettier-->\n<view/>`;
+    expect(await formatWith(prettierPragma, { parser: "wxml", requirePragma: true })).toBe(`<!--@prettier-->\n<view />\n`);
+  });
+
+  it("should insert a WXML comment pragma once", async () => {
+    const result = await formatWith(`<view/>`, { parser: "wxml", insertPragma: true });
+    expect(result).toBe(`<!-- @format -->\n\n<view />\n`);
+    expect(await formatWith(result, { parser: "wxml", insertPragma: true })).toBe(result);
+  });
+
+  it("should honor // @format in standalone WXS files", async () => {
+    expect(await formatWith(`var a=1`, { parser: "wxs", requirePragma: true })).toBe(`var a=1`);
+    expect(await formatWith(`// @format\nvar a=1`, { parser: "wxs", requirePragma: true })).toBe(`// @format\nvar a = 1;\n`);
+    expect(await formatWith(`/** @prettier */\nvar a=1`, { parser: "wxs", requirePragma: true })).toBe(`/** @prettier */\nvar a = 1;\n`);
+  });
+
+  it("should insert a // @format pragma into WXS files", async () => {
+    const result = await formatWith(`var a=1`, { parser: "wxs", insertPragma: true });
+    expect(result).toBe(`// @format\n\nvar a = 1;\n`);
+    expect(await formatWith(result, { parser: "wxs", insertPragma: true })).toBe(result);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { format } from "prettier";
+import * as plugin from "../src/index.js";
+
+async function formatWxml(content, options = {}) {
+  return format(content, {
+    ...options,
+    parser: "wxml",
+    plugins: [plugin],
+  });
+}
+
+describe("Whitespace sensitivity", () => {
+  it("should not add whitespace between inline components by default", async () => {
+    const input = `<view><image src="a.png"/><image src="b.png"/></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view>\n  <image src="a.png" /><image src="b.png" />\n</view>\n`);
+  });
+
+  it("should keep text hugging inline components and interpolations", async () => {
+    const input = `<view>\n  Price:<text class="num">{{price}}</text>元\n</view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view>\n  Price:<text class="num">{{ price }}</text>元\n</view>\n`);
+  });
+
+  it("should treat custom components as inline", async () => {
+    const input = `<my-tag>{{name}}</my-tag>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<my-tag>{{ name }}</my-tag>\n`);
+  });
+
+  it("should treat <block>, <template is> and <include> as rendering their content in place", async () => {
+    const text = await formatWxml(`<view>Hello<block wx:if="{{x}}">world</block>!</view>`);
+    expect(text).toBe(`<view>Hello<block wx:if="{{ x }}">world</block>!</view>\n`);
+
+    const components = await formatWxml(`<view><text>a</text><block wx:for="{{l}}"><text>b</text></block></view>`);
+    expect(components).toBe(`<view>\n  <text>a</text><block wx:for="{{ l }}"><text>b</text>\n  </block>\n</view>\n`);
+
+    const uses = await formatWxml(`<view>Hi<template is="card" data="{{item}}"/>there<include src="./a.wxml"/>!</view>`);
+    expect(uses).toBe(`<view>\n  Hi<template is="card" data="{{ item }}" />there<include src="./a.wxml" />!\n</view>\n`);
+  });
+
+  it("should still break around a <block> between block-level components", async () => {
+    const input = `<view><block wx:if="{{x}}"><view>a</view></block><view>b</view></view>`;
+    const result = await formatWxml(input);
+    expect(result).toBe(`<view>\n  <block wx:if="{{ x }}">\n    <view>a</view>\n  </block>\n  <view>b</view>\n</view>\n`);
+  });
+
+  it("should keep whitespace around every element in strict mode", async () => {
+    const input = `<view><image src="a.png"/><image src="b.png"/></view>`;
+    const result = await formatWxml(input, { wxmlWhitespaceSensitivity: "strict" });
+    expect(result).toBe(`<view><image src="a.png" /><image src="b.png" /></view>\n`);
+  });
+
+  it("should put every child on its own line in ignore mode", async () => {
+    const input = `<view>\n  Price:<text class="num">{{price}}</text>元\n</view>`;
+    const result = await formatWxml(input, { wxmlWhitespaceSensitivity: "ignore" });
+    expect(result).toBe(`<view>\n  Price:\n  <text class="num">{{ price }}</text>\n  元\n</view>\n`);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { format } from "prettier";
+import { readFileSync } from "fs";
+import { join } from "path";
+import * as plugin from "../src/index.js";
+
+async function formatWxs(content, options = {}) {
+  return format(content, {
+    ...options,
+    parser: "wxs",
+    plugins: [plugin],
+  });
+}
+
+describe("Standalone .wxs files", () => {
+  it("should infer the wxs parser from the file extension", async () => {
+    const result = await format(`var a=1`, { filepath: "utils/index.wxs", plugins: [plugin] });
+    expect(result).toBe(`var a = 1;\n`);
+  });
+
+  it("should format a .wxs fixture", async () => {
+    const content = readFileSync(join(__dirname, "fixtures/test-standalone.wxs"), "utf8");
+    const result = await formatWxs(content);
+    expect(result).toMatchSnapshot();
+  });
+
+  it("should apply the same wxs* options as inline <wxs> blocks", async () => {
+    const code = `var msg = "hi";\nmodule.exports = {msg: msg, upper: function(s){return s.toUpperCase()}}\n`;
+    const options = { wxsSemi: false, wxsSingleQuote: false, wxsTabWidth: 4, wxsPrintWidth: 40 };
+    const standalone = await formatWxs(code, options);
+    expect(standalone).toBe(
+      `var msg = "hi"\nmodule.exports = {\n    msg: msg,\n    upper: function (s) {\n        return s.toUpperCase()\n    }\n}\n`
+    );
+
+    const inline = await format(`<wxs module="m">\n${code}</wxs>`, { ...options, parser: "wxml", plugins: [plugin] });
+    const body = inline
+      .split("\n")
+      .slice(1, -2)
+      .map((l) => l.slice(4))
+      .join("\n");
+    expect(`${body}\n`).toBe(standalone);
+  });
+
+  it("should wrap at wxsPrintWidth", async () => {
+    const result = await formatWxs(`module.exports={alpha:alpha, beta:beta, gamma:gamma}`, { wxsPrintWidth: 40 });
+    expect(result).toBe(`module.exports = {\n  alpha: alpha,\n  beta: beta,\n  gamma: gamma\n};\n`);
+  });
+
+  it("should support the Babel fallback via wxsFormatter=babel", async () => {
+    const result = await formatWxs(`var a=1;function f(x){return x+1}`, { wxsFormatter: "babel" });
+    expect(result).toBe(`var a = 1;\nfunction f(x) {\n  return x + 1;\n}\n`);
+  });
+
+  it("should throw for invalid code", async () => {
+    await expect(formatWxs(`var a = ;`)).rejects.toThrow(/Failed to parse\/format <wxs> JavaScript/);
+  });
+
+  it("should leave invalid code as written with wxsOnError=preserve", async () => {
+    const code = `var a = ;\n  var b  = 1\n`;
+    expect(await formatWxs(code, { wxsOnError: "preserve" })).toBe(code);
+  });
+});